@@ -1,8 +1,56 @@
-import { useEffect, useRef, useState, Fragment } from "react";
+import { useEffect, useMemo, useRef, useState, Fragment } from "react";
 import MoveListDesktop from "./components/MoveList/MoveListDesktop.jsx";
 import MoveListMobile from "./components/MoveList/MoveListMobile.jsx";
 import * as ChessJS from "chess.js";
 import { Chessboard } from "react-chessboard";
+import { ROOT_ID, updateNode, isMainline, promoteVariation, deleteFrom, pathTo, nodeBySans } from "./lib/moveTree.js";
+import { sanitizeAndTokenizePgn, buildTreeFromTokens, parseHeaders, exportPgn } from "./lib/pgn.js";
+import { indexPgnGames } from "./lib/indexPgn.js";
+import GameBrowser from "./components/GameBrowser/GameBrowser.jsx";
+import HeaderEditor from "./components/HeaderEditor/HeaderEditor.jsx";
+import PromotionPicker from "./components/PromotionPicker/PromotionPicker.jsx";
+import TrainerPanel from "./components/Trainer/TrainerPanel.jsx";
+import { useGameState } from "./hooks/useGameState.js";
+import { useTrainer } from "./hooks/useTrainer.js";
+import PuzzlePanel from "./components/Puzzles/PuzzlePanel.jsx";
+import { usePuzzles } from "./hooks/usePuzzles.js";
+import { puzzleToParams, puzzleFromParams } from "./lib/puzzles.js";
+import RepertoirePanel from "./components/Repertoire/RepertoirePanel.jsx";
+import { useRepertoire } from "./hooks/useRepertoire.js";
+import { useOpening } from "./hooks/useOpening.js";
+import { useEngineAnalysis } from "./hooks/useEngineAnalysis.js";
+import EvalBar from "./components/Engine/EvalBar.jsx";
+import EnginePanel from "./components/Engine/EnginePanel.jsx";
+import { useGameReview } from "./hooks/useGameReview.js";
+import ReviewPanel from "./components/Review/ReviewPanel.jsx";
+import BoardEditor from "./components/BoardEditor/BoardEditor.jsx";
+import { validateFen, completeFen, placementToPieces } from "./lib/fen.js";
+import { gameToParams, gameFromParams } from "./lib/share.js";
+import { useRoute } from "./hooks/useRoute.js";
+import NavBar from "./components/NavBar/NavBar.jsx";
+import AboutPage from "./components/About/AboutPage.jsx";
+import LibraryPanel from "./components/Library/LibraryPanel.jsx";
+import { useLibrary } from "./hooks/useLibrary.js";
+import { gameName } from "./lib/library.js";
+import PlayPanel from "./components/Play/PlayPanel.jsx";
+import { usePlayComputer } from "./hooks/usePlayComputer.js";
+import { useAutoReplay, REPLAY_SPEEDS } from "./hooks/useAutoReplay.js";
+import { useChessClock } from "./hooks/useChessClock.js";
+import PlayerClock from "./components/Clock/PlayerClock.jsx";
+import { parseTimeControl, timeControlTag, clocksAt, moveTimes } from "./lib/clock.js";
+import { SHAPE_COLORS, shapeColor, toggleArrow, toggleCircle } from "./lib/shapes.js";
+import { RESULT_TEXT, positionStatus, nodeStatus } from "./lib/gameStatus.js";
+import SettingsPanel from "./components/Settings/SettingsPanel.jsx";
+import { useSettings } from "./hooks/useSettings.js";
+import { boardStyleOptions } from "./lib/settings.js";
+import BlindfoldPanel from "./components/Blindfold/BlindfoldPanel.jsx";
+import { useBlindfold } from "./hooks/useBlindfold.js";
+import { visiblePosition, recentSquares } from "./lib/visualization.js";
+import CommandBar from "./components/CommandBar/CommandBar.jsx";
+import { completions, parseCommand } from "./lib/commands.js";
+import AccessibleBoard from "./components/AccessibleBoard/AccessibleBoard.jsx";
+import { spokenNode, spokenLastMove } from "./lib/speech.js";
+import { loadJson, saveJson } from "./lib/storage.js";
 
 const Chess = ChessJS.Chess || ChessJS.default;
 
@@ -12,6 +60,11 @@ const GAP = 16;         // gap between board and panel
 const BOARD_MIN = 280;
 const BOARD_MAX = 520;
 
+// The working session (game, current move, orientation) is saved here and
+// restored on the next visit
+const SESSION_KEY = "chessburn:session";
+const SESSION_SAVE_MS = 500;
+
 // Test FENs
 const TEST_FENS = [
   { name: "Start", fen: "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1" },
@@ -24,6 +77,17 @@ const TEST_FENS = [
   { name: "Bare kings", fen: "8/8/8/8/8/8/8/4K2k w - - 0 1" },
 ];
 
+// /puzzle/<id>?fen=…&moves=… (the id lives in the path)
+function puzzlePath(puzzle) {
+  const params = puzzleToParams(puzzle);
+  params.delete("puzzle");
+  return `/puzzle/${encodeURIComponent(puzzle.id)}?${params}`;
+}
+
+// PGN tags that have their own state; everything else is carried in extraTags
+const OWN_TAGS = ["Event", "Site", "Date", "Round", "Result", "White", "Black",
+  "WhiteElo", "BlackElo", "WhiteTitle", "BlackTitle", "SetUp", "FEN"];
+
 export default function App() {
   // Responsive layout: stack board and move list vertically on mobile
   const [isMobileLayout, setIsMobileLayout] = useState(window.innerWidth < 600);
@@ -34,31 +98,115 @@ export default function App() {
     window.addEventListener("resize", handleResize);
     return () => window.removeEventListener("resize", handleResize);
   }, []);
-  const [eventInfo, setEventInfo] = useState({ event: "", site: "", date: "" });
-  // Base position (updates on reset/FEN/PGN load)
-  const [baseFen, setBaseFen] = useState(() => new Chess().fen());
+  // Route (/analysis, /game/:id, /puzzle/:id, /train, /about)
+  const { route, search, action: locationAction, key: locationKey, navigate } = useRoute();
+  const onBoardRoute = route.name === "analysis" || route.name === "game";
+  const showBoard = onBoardRoute || route.name === "puzzle" || route.name === "train";
 
-  // Current displayed position
-  const [game, setGame] = useState(() => new Chess());
-  const [lastMove, setLastMove] = useState(null);   // {from,to}
+  const [eventInfo, setEventInfo] = useState({ event: "", site: "", date: "", round: "", result: "*" });
+  const [extraTags, setExtraTags] = useState({});   // other PGN tags (ECO, Annotator, …), kept for export
+  // Game state: base position, move tree (mainline + variations), displayed node
+  const {
+    baseFen, tree, currentId, currentNode, currentPly, line, lineLength, fen, lastMove,
+    canUndo, canRedo, load, playMove, playLine, jumpToNode, jumpToPly, editTree, undo, redo,
+  } = useGameState(new Chess().fen());
 
-  // Move history since baseFen
-  const [moves, setMoves] = useState([]);           // SAN array
-  const [currentPly, setCurrentPly] = useState(0);  // 0..moves.length
+  const { opening, exits: bookExits } = useOpening(tree, line, currentPly);
+  const reviewState = useGameReview(tree);
+  const mainlinePly = currentId === ROOT_ID ? 0 : reviewState.mainline.indexOf(currentId) + 1 || -1;
+
+  // Check, mate and draws at the displayed move; a finished position takes no
+  // more moves
+  const status = useMemo(() => nodeStatus(tree, currentId), [tree, currentId]);
+  const mainlineEnd = reviewState.mainline[reviewState.mainline.length - 1] ?? ROOT_ID;
+  const finalResult = useMemo(() => nodeStatus(tree, mainlineEnd).result, [tree, mainlineEnd]);
 
   // UI state
   const [boardOrientation, setBoardOrientation] = useState("white");
-  const [fenText, setFenText] = useState(() => game.fen());
+  const [fenText, setFenText] = useState(fen);
   const [fenError, setFenError] = useState("");
+  const [pendingPromotion, setPendingPromotion] = useState(null); // {from,to,color} awaiting a piece
   const [lastLoadedName, setLastLoadedName] = useState("");
   const [pgnText, setPgnText] = useState("");
   const [pgnError, setPgnError] = useState("");
+  const [games, setGames] = useState([]);           // games of a multi-game PGN
+  const [gameIndex, setGameIndex] = useState(-1);
+  const [indexStatus, setIndexStatus] = useState("");
   const [whiteName, setWhiteName] = useState("");
   const [blackName, setBlackName] = useState("");
   const [whiteElo, setWhiteElo] = useState("");
   const [blackElo, setBlackElo] = useState("");
   const [whiteTitle, setWhiteTitle] = useState("");
   const [blackTitle, setBlackTitle] = useState("");
+  const [libraryId, setLibraryId] = useState(null);  // saved game on the board, if any
+  const [repertoireEditing, setRepertoireEditing] = useState(null); // "white" | "black" while its tree is on the board
+  const [editingBoard, setEditingBoard] = useState(false);  // board editor replaces the board
+  const [shareHeaders, setShareHeaders] = useState(true);   // share links carry players, event, …
+  const [engineOn, setEngineOn] = useState(false);
+  const [multiPv, setMultiPv] = useState(3);
+  const settingsState = useSettings();
+  const { settings } = settingsState;
+  const [showSettings, setShowSettings] = useState(false);
+  const [commandText, setCommandText] = useState(null);   // open command bar's first letter, or null
+
+  // A training mode can take over the board ({ fen, lastMove, onMove, highlights })
+  // on its own page; otherwise the board shows the game
+  const trainer = useTrainer();
+  const puzzles = usePuzzles({ onStart: setBoardOrientation });
+  const repertoire = useRepertoire({ onStart: setBoardOrientation });
+  const library = useLibrary();
+  const play = usePlayComputer({
+    fen, lastMove, ply: currentPly, atEnd: currentPly === lineLength, status,
+    onMove: playClockedMove,
+    onEnd: (result) => {
+      clock.stop();
+      setEventInfo((i) => ({ ...i, result }));
+    },
+  });
+  const clock = useChessClock({ onFlag: (color) => play.timeout(color) });
+  const boardMode =
+    (onBoardRoute && play.board) ||
+    (route.name === "puzzle" && puzzles.board) ||
+    (route.name === "train" && (trainer.board || repertoire.board)) ||
+    null;
+  const boardFen = boardMode ? boardMode.fen : fen;
+
+  // Blindfold: the analysis board (and games played on it) can hide pieces
+  const blindfold = useBlindfold();
+  const blindBoard = onBoardRoute && blindfold.hidden;
+  const boardPosition = blindBoard
+    ? visiblePosition(boardFen, blindfold.mode, recentSquares(tree, currentId, blindfold.recentPlies))
+    : boardFen;
+  const boardGame = useMemo(() => new Chess(boardFen), [boardFen]);
+  const boardStatus = useMemo(() => (boardMode ? positionStatus(boardFen) : status), [boardMode, boardFen, status]);
+  const gameOver = !boardMode && !!status.result;
+
+  // Clocks: live during a timed game, otherwise the game's recorded [%clk]
+  // times at the displayed move
+  const timeControl = useMemo(() => parseTimeControl(extraTags.TimeControl), [extraTags.TimeControl]);
+  const clocks = clock.running ? clock.remaining : clocksAt(tree, currentId, timeControl);
+  const spentTimes = useMemo(() => moveTimes(tree, timeControl), [tree, timeControl]);
+  const bottomColor = boardOrientation[0];
+  const topColor = bottomColor === "w" ? "b" : "w";
+
+  // Auto-replay of the displayed line; a comment, NAG, drawing or a mistake
+  // found by the review keeps its move on the board longer
+  const replay = useAutoReplay({
+    ply: currentPly,
+    length: lineLength,
+    onStep: jumpToPly,
+    enabled: !boardMode,
+    linger: (ply) => {
+      const node = tree.nodes[line[ply - 1]];
+      const judgement = reviewState.judgements.get(node.id)?.judgement;
+      return !!(node.comment || node.nags?.length || node.arrows?.length || node.circles?.length ||
+        judgement === "mistake" || judgement === "blunder");
+    },
+  });
+
+  // Engine analysis of the game position (off while a training mode has the board)
+  const showEngine = engineOn && !boardMode && !editingBoard;
+  const analysis = useEngineAnalysis(fen, { enabled: showEngine, multiPv });
 
   // Layout refs
   const rowRef = useRef(null);
@@ -69,95 +217,165 @@ export default function App() {
   const scrollRef = useRef(null);
   const activeMoveRef = useRef(null);
 
-  // ==== Utilities ====
-  function validateFen(fen) {
-    if (Chess.validate_fen) return Chess.validate_fen(fen);
-    try { new Chess(fen); return { valid: true }; }
-    catch (e) { return { valid: false, error: e?.message || "Invalid FEN" }; }
-  }
+  // PGN tags of the game on the board (export, library, share links)
+  const pgnHeaders = useMemo(() => {
+    const headers = {
+      Event: eventInfo.event,
+      Site: eventInfo.site,
+      Date: eventInfo.date,
+      Round: eventInfo.round,
+      White: whiteName,
+      Black: blackName,
+      Result: eventInfo.result,
+      WhiteTitle: whiteTitle,
+      BlackTitle: blackTitle,
+      WhiteElo: whiteElo,
+      BlackElo: blackElo,
+      ...extraTags,
+    };
+    if (baseFen !== new Chess().fen()) Object.assign(headers, { SetUp: "1", FEN: baseFen });
+    return headers;
+  }, [eventInfo, whiteName, blackName, whiteTitle, blackTitle, whiteElo, blackElo, extraTags, baseFen]);
 
-  // Cache for positions at each ply to optimize replay
-  const positionCacheRef = useRef(new Map());
+  // ==== Lifecycle / sizing ====
+  // The board's game in query-string form (see lib/share.js); on the analysis
+  // and game pages the URL always carries it, so a refresh restores the view
+  const boardSearch = useMemo(() => {
+    const params = gameToParams({
+      startFen: baseFen,
+      sans: line.map((id) => tree.nodes[id].san),
+      ply: currentPly,
+      orientation: boardOrientation,
+      headers: pgnHeaders,
+    });
+    return params.size ? `?${params}` : "";
+  }, [baseFen, tree, line, currentPly, boardOrientation, pgnHeaders]);
 
-  function positionAtPly(ply) {
-    // If cached, return directly
-    if (positionCacheRef.current.has(ply)) {
-      const cached = positionCacheRef.current.get(ply);
-      return { ch: cached.ch, lm: cached.lm };
-    }
-    // Otherwise, compute and cache
-    const ch = new Chess(baseFen);
-    let lm = null;
-    for (let i = 0; i < Math.min(ply, moves.length); i++) {
-      const move = ch.move(moves[i]);
-      if (move) lm = { from: move.from, to: move.to };
+  useEffect(() => {
+    if (route.name === "analysis" || route.name === "game") {
+      navigate(`${window.location.pathname}${boardSearch}`, { replace: true });
     }
-    positionCacheRef.current.set(ply, { ch, lm });
-    return { ch, lm };
-  }
+  }, [route.name, boardSearch, navigate]);
 
-  // Clear cache when baseFen or moves change
+  // On first load and on back/forward, show what the URL describes: a puzzle
+  // (/puzzle/:id?fen=…&moves=…, or an old ?puzzle=… link), a saved game
+  // (/game/:id), a game (?fen=…&line=…&ply=…) or a plain FEN (?fen=…).
+  // A first visit without any of these picks up the last session. It runs
+  // once per location (locationKey), with the latest state from this ref.
+  const showLocation = useRef(null);
   useEffect(() => {
-    positionCacheRef.current = new Map();
-  }, [baseFen, moves]);
-
-  function jumpToPly(ply) {
-    const { ch, lm } = getPositionAtPly(ply);
-    setGame(ch);
-    setFenText(ch.fen());
-    setCurrentPly(ply);
-    setLastMove(lm);
-  }
-
-  // ---- PGN helpers: sanitize & tokenize (robust importer) ----
-  function stripParenBlocks(s) {
-    // remove nested (...) variations by repeated passes
-    let prev;
-    do { prev = s; s = s.replace(/\([^()]*\)/g, " "); } while (s !== prev);
-    return s;
-  }
-  function sanitizeAndTokenizePgn(pgn) {
-    let s = String(pgn || "").replace(/\r\n?/g, "\n");
-    // detect starting FEN from headers only if [SetUp "1"] exists
-    const fenTag = s.match(/\[FEN\s+"([^"]+)"\]/i);
-    const setupTag = s.match(/\[SetUp\s+"1"\]/i);
-    const startFen = fenTag && setupTag ? fenTag[1] : null;
-
-    // remove headers, comments, variations, NAGs, move numbers, results
-    s = s.replace(/^\s*\[.*?\]\s*$/gm, " ");
-    s = s.replace(/\{[^}]*\}/g, " ");
-    s = s.replace(/;[^\n]*/g, " ");
-    s = stripParenBlocks(s);
-    s = s.replace(/\$\d+/g, " ");
-    s = s.replace(/\d+\.(\.\.)?/g, " ");
-    s = s.replace(/\b(1-0|0-1|1\/2-1\/2|\*)\b/g, " ");
-    s = s.replace(/[^\S\r\n]+/g, " ").trim();
-
-    const raw = s.split(/\s+/).filter(Boolean);
-    // strip !! ?! ?? etc (keep + and #)
-    const tokens = raw.map((t) => t.replace(/[!?]+$/g, ""));
-    return { tokens, startFen };
-  }
+    showLocation.current = () => {
+      if (locationAction !== "load" && locationAction !== "pop") return;
+      try {
+        const params = new URLSearchParams(search);
+        if (route.name === "puzzle" && route.id) params.set("puzzle", route.id);
+        const sharedPuzzle = puzzleFromParams(params);
+        if (sharedPuzzle) {
+          if (puzzles.run?.puzzle.id !== sharedPuzzle.id) {
+            const known = puzzles.puzzles.find((p) => p.id === sharedPuzzle.id);
+            if (!known) puzzles.load([sharedPuzzle]);
+            puzzles.open(known || sharedPuzzle);
+          }
+          if (route.name !== "puzzle") navigate(puzzlePath(sharedPuzzle), { replace: true });
+          return;
+        }
+        if (!onBoardRoute) return;
+        const sharedGame = gameFromParams(params);
+        const view = sharedGame && {
+          sans: pathTo(sharedGame.tree, sharedGame.currentId).map((id) => sharedGame.tree.nodes[id].san),
+          orientation: sharedGame.orientation,
+        };
 
-  // ==== Lifecycle / sizing ====
-  // Load FEN from URL (?fen=...)
-  useEffect(() => {
-    try {
-      const qfen = new URLSearchParams(window.location.search).get("fen");
-      if (qfen) {
-        const next = new Chess(qfen);
-        const fen = next.fen();
-        setBaseFen(fen);
-        setGame(next);
-        setFenText(fen);
-        setMoves([]);
-        setCurrentPly(0);
-        setLastMove(null);
-        setFenError("");
-        setLastLoadedName("From URL");
+        // The session keeps variations and comments the URL can't carry
+        const session = locationAction === "load" ? loadJson(SESSION_KEY, null) : null;
+        if (
+          session &&
+          (search === session.search || (route.name === "analysis" && !search)) &&
+          (route.name !== "game" || session.libraryId === route.id)
+        ) {
+          showPgn(session.pgn, session.name || "Last session", {
+            sans: session.path, orientation: session.orientation, libraryId: session.libraryId,
+          });
+          return;
+        }
+        if (route.name === "game") {
+          if (route.id !== libraryId) openSavedGame(route.id, view);
+          return;
+        }
+        if (search === boardSearch) return;
+        setLibraryId(null);
+        if (sharedGame) {
+          load(sharedGame.baseFen, sharedGame.tree);
+          leavePlay();
+          setRepertoireEditing(null);
+          jumpToNode(sharedGame.currentId);
+          setBoardOrientation(sharedGame.orientation);
+          if (locationAction === "pop" || Object.keys(sharedGame.headers).length) applyHeaders(sharedGame.headers);
+          setFenError("");
+          setLastLoadedName("From URL");
+        } else {
+          reset();
+        }
+      } catch {
+        setFenError("The link's FEN is invalid.");
       }
-    } catch {}
-  }, []);
+    };
+  });
+  useEffect(() => {
+    showLocation.current();
+  }, [locationKey]);
+
+  // Save the session shortly after every change
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      saveJson(SESSION_KEY, {
+        pgn: exportPgn(tree, pgnHeaders),
+        path: pathTo(tree, currentId).map((id) => tree.nodes[id].san),
+        orientation: boardOrientation,
+        libraryId,
+        name: lastLoadedName,
+        search: boardSearch,
+      });
+    }, SESSION_SAVE_MS);
+    return () => clearTimeout(timer);
+  }, [tree, currentId, pgnHeaders, boardOrientation, libraryId, lastLoadedName, boardSearch]);
+
+  // Opening or leaving a puzzle updates the puzzle page's URL
+  const runPuzzle = puzzles.run?.puzzle || null;
+  const shownPuzzleRef = useRef(null);
+  useEffect(() => {
+    if (shownPuzzleRef.current === runPuzzle) return;
+    shownPuzzleRef.current = runPuzzle;
+    if (route.name !== "puzzle") return;
+    if (runPuzzle && route.id !== runPuzzle.id) navigate(puzzlePath(runPuzzle));
+    else if (!runPuzzle && route.id) navigate("/puzzle", { replace: true });
+  }, [runPuzzle, route, navigate]);
+
+  // While a repertoire is being edited on the board, every change is saved to it
+  const { setTree: setRepertoireTree } = repertoire;
+  useEffect(() => {
+    if (repertoireEditing) setRepertoireTree(repertoireEditing, tree);
+  }, [tree, repertoireEditing, setRepertoireTree]);
+
+  // A main line that ends in mate or a draw decides the Result tag, and
+  // takes it back when that ending is undone or deleted. Results from tags
+  // (a resignation, say) stay.
+  const boardResultRef = useRef(null);   // the Result the board set, until tags or the user replace it
+  useEffect(() => {
+    if (finalResult) {
+      boardResultRef.current = finalResult;
+      setEventInfo((i) => (i.result === finalResult ? i : { ...i, result: finalResult }));
+    } else if (boardResultRef.current) {
+      const decided = boardResultRef.current;
+      boardResultRef.current = null;
+      setEventInfo((i) => (i.result === decided ? { ...i, result: "*" } : i));
+    }
+  }, [finalResult]);
+
+  // Keep the FEN box on the displayed position
+  useEffect(() => {
+    setFenText(fen);
+  }, [fen]);
 
   // Board width with fixed side panel reservation
   useEffect(() => {
@@ -182,112 +400,130 @@ export default function App() {
       window.removeEventListener("resize", recompute);
       window.removeEventListener("orientationchange", recompute);
     };
-  }, []);
+  }, [showBoard]);   // the board row only exists on board pages
 
   // Auto-scroll the move list to keep the active move in view
   useEffect(() => {
     const el = activeMoveRef.current;
     if (!el) return;
     el.scrollIntoView({ block: "nearest", inline: "nearest", behavior: "smooth" });
-  }, [currentPly, moves.length, stack, boardWidth]);
+  }, [currentId, tree, stack, boardWidth]);
 
   // ==== Keyboard shortcuts ====
   // ← : back    → : forward    Home : start    End : latest    F : flip board
+  // Space : auto-replay on/off    other letters : command bar (where "flip" and f4 are typed)
+  // Ctrl/⌘+Z : undo    Ctrl/⌘+Y or Ctrl/⌘+Shift+Z : redo
+  // The listener stays put and reads the latest state through this ref
+  const keyActions = useRef(null);
   useEffect(() => {
-    const stepBack    = () => { if (currentPly > 0)               jumpToPly(currentPly - 1); };
-    const stepForward = () => { if (currentPly < moves.length)    jumpToPly(currentPly + 1); };
-    const goLatest    = () => { if (currentPly < moves.length)    jumpToPly(moves.length); };
-    const goStart     = () => { if (currentPly !== 0)             jumpToPly(0); };
+    keyActions.current = {
+      stepBack:    () => { if (currentPly > 0)               jumpToPly(currentPly - 1); },
+      stepForward: () => { if (currentPly < lineLength)      jumpToPly(currentPly + 1); },
+      goLatest:    () => { if (currentPly < lineLength)      jumpToPly(lineLength); },
+      goStart:     () => { if (currentPly !== 0)             jumpToPly(0); },
+      toggleReplay: () => { if (!boardMode) replay.toggle(); },
+      undo,
+      redo,
+      showBoard,
+    };
+  });
 
+  useEffect(() => {
     function onKey(e) {
       const t = document.activeElement;
       const tag = t && t.tagName ? t.tagName.toLowerCase() : "";
       const typing = (t && (t.isContentEditable || tag === "input" || tag === "textarea"));
       if (typing) return;
 
-      if (e.key === "ArrowLeft")      { e.preventDefault(); stepBack(); }
-      else if (e.key === "ArrowRight"){ e.preventDefault(); stepForward(); }
-      else if (e.key === "Home")      { e.preventDefault(); goStart(); }
-      else if (e.key === "End")       { e.preventDefault(); goLatest(); }
+      const act = keyActions.current;
+      if (e.key === "ArrowLeft")      { e.preventDefault(); act.stepBack(); }
+      else if (e.key === "ArrowRight"){ e.preventDefault(); act.stepForward(); }
+      else if (e.key === "Home")      { e.preventDefault(); act.goStart(); }
+      else if (e.key === "End")       { e.preventDefault(); act.goLatest(); }
+      else if (e.key === " ") {
+        // Space still presses a focused button, select or board square
+        if (t && t.closest?.('button, select, summary, a[href], [role="button"], [role="gridcell"], input[type="checkbox"]')) return;
+        e.preventDefault();
+        act.toggleReplay();
+      }
+      else if ((e.ctrlKey || e.metaKey) && (e.key === "z" || e.key === "Z")) {
+        e.preventDefault();
+        if (e.shiftKey) act.redo(); else act.undo();
+      }
+      else if ((e.ctrlKey || e.metaKey) && (e.key === "y" || e.key === "Y")) { e.preventDefault(); act.redo(); }
       else if (e.key === "f" || e.key === "F") {
         setBoardOrientation(o => (o === "white" ? "black" : "white"));
       }
+      else if (act.showBoard && /^[a-zA-Z]$/.test(e.key) && !e.ctrlKey && !e.metaKey && !e.altKey) {
+        // The letter starts the move or command ("N" → Nf3, "g" → goto)
+        e.preventDefault();
+        setCommandText(e.key);
+      }
     }
     window.addEventListener("keydown", onKey);
     return () => window.removeEventListener("keydown", onKey);
-  }, [currentPly, moves.length]);
+  }, []);
 
   // ==== Board interactions ====
-  function onPieceDrop(from, to, piece) {
-    try {
-      if (!from || !to) return false;
-      // start from the *current* displayed position
-      const next = new Chess(game.fen());
-      const moved = next.move({ from, to, promotion: "q" });
-      if (!moved) return false;
-
-      // trim future moves if we had jumped back, then append
-      const newMoves = moves.slice(0, currentPly);
-      newMoves.push(moved.san);
-
-      setMoves(newMoves);
-      setCurrentPly(newMoves.length);
-      setGame(next);
-      setFenText(next.fen());
-      setFenError("");
-      setPgnError("");
-      setLastMove({ from, to });
-      return true; // IMPORTANT for react-chessboard to accept the drop
-    } catch (e) {
+  // Moves go through useGameState, which records them in the move tree, or to
+  // the active training mode. A pawn reaching the last rank waits for the
+  // promotion chooser first.
+  function playBoardMove(from, to) {
+    if (gameOver) return false;
+    const candidate = boardGame.moves({ square: from, verbose: true }).find((m) => m.to === to);
+    if (candidate?.promotion) {
+      setPendingPromotion({ from, to, color: candidate.color });
       return false;
     }
+    const moved = boardMode ? boardMode.onMove({ from, to }) : playMove({ from, to });
+    if (!moved) return false;
+    setFenError("");
+    setPgnError("");
+    return true;
   }
 
-  // handle piece drop
-  function onPieceDrop( sourceSquare, targetSquare ) {
-    
-    // type narrow targetSquare potentially being null (e.g. if dropped off board)
-    if (!targetSquare) {
-      return false;
-    }
-
-    // try to make the move according to chess.js logic
-    try {
-      chessGame.move({
-        from: sourceSquare,
-        to: targetSquare,
-        promotion: 'q' // always promote to a queen for example simplicity
-      });
-
-      // update the position state upon successful move to trigger a re-render of the chessboard
-      setChessPosition(chessGame.fen());
+  // A move typed as SAN (or e2e4), or { from, to, promotion }; returns
+  // whether it was played
+  function playTypedMove(text) {
+    let legal = null;
+    try { legal = gameOver ? null : new Chess(boardFen).move(text); }
+    catch { legal = null; }
+    if (!legal) return false;
+    const move = { from: legal.from, to: legal.to, promotion: legal.promotion };
+    const moved = boardMode ? boardMode.onMove(move) : playMove(move);
+    if (!moved) return false;
+    setFenError("");
+    setPgnError("");
+    return true;
+  }
 
-      // clear moveFrom and optionSquares
-      setMoveFrom('');
-      setOptionSquares({});
+  function choosePromotion(piece) {
+    const { from, to } = pendingPromotion;
+    setPendingPromotion(null);
+    const move = { from, to, promotion: piece };
+    if (boardMode) boardMode.onMove(move);
+    else playMove(move);
+  }
 
-      // make random cpu move after a short delay
-      setTimeout(makeRandomMove, 500);
+  // ==== Commands ====
+  // Anything loaded other than a saved game belongs on the analysis page
+  function unlinkSavedGame() {
+    setLibraryId(null);
+    if (route.name === "game") navigate("/analysis");
+  }
 
-      // return true as the move was successful
-      return true;
-    } catch {
-      // return false as the move was not successful
-      return false;
-    }
+  // A game against the computer (or a practice game) ends when another
+  // position or game takes over the board
+  function leavePlay() {
+    play.stop();
+    clock.clear();
   }
 
-  // ==== Commands ====
   function reset() {
-  const start = new Chess();
-  const fen = start.fen();
-  setBaseFen(fen);
-  setGame(start);
-  setFenText(fen);
+  load(new Chess().fen());
+  leavePlay();
+  setRepertoireEditing(null);
   setFenError("");
-  setMoves([]);
-  setCurrentPly(0);
-  setLastMove(null);
   setLastLoadedName("");
   setPgnError("");
   setWhiteName("");
@@ -296,39 +532,79 @@ export default function App() {
   setBlackElo("");
   setWhiteTitle("");
   setBlackTitle("");
-  setEventInfo({ event: "", site: "", date: "" });
+  boardResultRef.current = null;
+  setEventInfo({ event: "", site: "", date: "", round: "", result: "*" });
+  setExtraTags({});
   }
 
 
-  function loadFen() {
-    const raw = fenText.trim().replace(/\s+/g, " ");
+  // Returns the validation error, or "" once the position is loaded
+  function loadFenText(text) {
+    const raw = completeFen(text);
     const chk = validateFen(raw);
-    if (!chk.valid) { setFenError(chk.error || "Invalid FEN."); return; }
-    const next = new Chess(raw);
-    const fen = next.fen();
-    setBaseFen(fen);
-    setGame(next);
-    setFenText(fen);
+    if (!chk.valid) return chk.error || "Invalid FEN.";
+    load(new Chess(raw).fen());
+    leavePlay();
+    unlinkSavedGame();
+    setRepertoireEditing(null);
     setFenError("");
-    setMoves([]);
-    setCurrentPly(0);
-    setLastMove(null);
     setLastLoadedName("Custom FEN");
     setPgnError("");
+    return "";
+  }
+
+  function loadFen() {
+    const error = loadFenText(fenText);
+    if (error) setFenError(error);
+  }
+
+  // A line submitted in the command bar; returns an error message or ""
+  function runCommand(text) {
+    const command = parseCommand(text, { fen: boardFen, line, nodes: tree.nodes });
+    if (command.error) return command.error;
+    switch (command.type) {
+      case "move": {
+        if (!playTypedMove(command.move)) return gameOver ? "The game is over." : "That move can't be played now.";
+        blindfold.moved();
+        return "";
+      }
+      case "flip":
+        setBoardOrientation(o => (o === "white" ? "black" : "white"));
+        return "";
+      case "reset":
+        reset();
+        unlinkSavedGame();
+        return "";
+      case "goto":
+        jumpToPly(command.ply);
+        return "";
+      case "fen":
+        return loadFenText(command.fen);
+      default:
+        return "";
+    }
+  }
+
+  // Position from the board editor (already validated) becomes the new base position
+  function loadEditedPosition(editedFen) {
+    load(editedFen);
+    leavePlay();
+    unlinkSavedGame();
+    setRepertoireEditing(null);
+    setEditingBoard(false);
+    setFenError("");
+    setLastLoadedName("Board editor");
+    setPgnError("");
   }
 
   function loadRandomFen() {
     const pick = TEST_FENS[Math.floor(Math.random() * TEST_FENS.length)];
     try {
-      const next = new Chess(pick.fen);
-      const fen = next.fen();
-      setBaseFen(fen);
-      setGame(next);
-      setFenText(fen);
+      load(new Chess(pick.fen).fen());
+      leavePlay();
+      unlinkSavedGame();
+      setRepertoireEditing(null);
       setFenError("");
-      setMoves([]);
-      setCurrentPly(0);
-      setLastMove(null);
       setLastLoadedName(pick.name);
       setPgnError("");
     } catch (e) {
@@ -337,58 +613,173 @@ export default function App() {
   }
 
   // ==== PGN Import (robust) ====
-  function importPgn(text) {
-    // Extract metadata
-    const eventMatch = text.match(/\[Event\s+"([^"]+)"\]/i);
-    const siteMatch = text.match(/\[Site\s+"([^"]+)"\]/i);
-    const dateMatch = text.match(/\[Date\s+"([^"]+)"\]/i);
-    setEventInfo({
-      event: eventMatch ? eventMatch[1] : "",
-      site: siteMatch ? siteMatch[1] : "",
-      date: dateMatch ? dateMatch[1] : ""
-    });
+  // Load a single game onto the board
+  function loadPgnGame(text, name = "PGN import") {
+    const headers = parseHeaders(text);
+    applyHeaders(headers);
     setPgnError("");
-  // Extract player info from PGN headers
-  const whiteMatch = text.match(/\[White\s+"([^"]+)"\]/i);
-  const blackMatch = text.match(/\[Black\s+"([^"]+)"\]/i);
-  const whiteEloMatch = text.match(/\[WhiteElo\s+"([^"]+)"\]/i);
-  const blackEloMatch = text.match(/\[BlackElo\s+"([^"]+)"\]/i);
-  const whiteTitleMatch = text.match(/\[WhiteTitle\s+"([^"]+)"\]/i);
-  const blackTitleMatch = text.match(/\[BlackTitle\s+"([^"]+)"\]/i);
-  setWhiteName(whiteMatch ? whiteMatch[1] : "White");
-  setBlackName(blackMatch ? blackMatch[1] : "Black");
-  setWhiteElo(whiteEloMatch && whiteEloMatch[1] !== "?" ? whiteEloMatch[1] : "");
-  setBlackElo(blackEloMatch && blackEloMatch[1] !== "?" ? blackEloMatch[1] : "");
-  setWhiteTitle(whiteTitleMatch ? whiteTitleMatch[1] : "");
-  setBlackTitle(blackTitleMatch ? blackTitleMatch[1] : "");
 
     const { tokens, startFen } = sanitizeAndTokenizePgn(text);
 
     // base position: FEN from headers if present, else the standard start
     const base = startFen || new Chess().fen();
-    const ch = new Chess(base);
-    const applied = [];
-
-    for (let i = 0; i < tokens.length; i++) {
-      const tok = tokens[i];
-      const mv = ch.move(tok); // SAN move
-      if (!mv) {
-        setPgnError(`Couldn't parse at token ${i + 1}: "${tok}"`);
-        return;
-      }
-      applied.push(mv.san);
+    const { tree: parsed, error } = buildTreeFromTokens(tokens, base);
+    if (error) {
+      setPgnError(error);
+      return null;
+    }
+
+    load(base, parsed);
+    leavePlay();
+    setRepertoireEditing(null);
+    setLastLoadedName(name);
+    return parsed;
+  }
+
+  // A PGN shown at a given move: { sans (path to the move), orientation, libraryId }
+  function showPgn(text, name, { sans = [], orientation, libraryId: id = null } = {}) {
+    const parsed = loadPgnGame(text, name);
+    if (!parsed) return;
+    jumpToNode(nodeBySans(parsed, sans));
+    if (orientation) setBoardOrientation(orientation);
+    setLibraryId(id);
+  }
+
+  // ==== Play vs computer ====
+  // opponent: "computer" | "human" (practice, both sides on this board);
+  // timeControl: { initial, increment, delay } in seconds, or null for no clock
+  function startPlay({ opponent, color, level, fromPosition, timeControl }) {
+    if (!fromPosition) {
+      reset();
+      unlinkSavedGame();
+    }
+    if (opponent === "computer") {
+      const engineName = `Stockfish (level ${level})`;
+      setWhiteName(color === "white" ? "You" : engineName);
+      setBlackName(color === "white" ? engineName : "You");
+    }
+    const event = opponent === "computer" ? "Casual game" : "Practice game";
+    setEventInfo((i) => ({ ...i, event, date: new Date().toISOString().slice(0, 10).replace(/-/g, "."), result: "*" }));
+    setLastLoadedName(opponent === "computer" ? "Game vs computer" : "Practice game");
+    setBoardOrientation(color);
+    if (timeControl) {
+      setExtraTags((t) => ({ ...t, TimeControl: timeControlTag(timeControl) }));
+      clock.start(timeControl, fromPosition ? new Chess(fen).turn() : "w");
+    } else {
+      setExtraTags((t) => {
+        const next = { ...t };
+        delete next.TimeControl;
+        return next;
+      });
+      clock.clear();
     }
+    play.start({ opponent, color, level, startPly: fromPosition ? currentPly : 0 });
+  }
+
+  // Game moves press the clock: the move's node records its side's time left
+  function playClockedMove(move) {
+    if (!clock.running) return playMove(move);
+    let legal = null;
+    try { legal = new Chess(fen).move(move); }
+    catch { legal = null; }
+    if (!legal) return null;
+    return playMove(move, { clock: Math.round(clock.press(legal.color) * 10) / 10 });
+  }
 
-    const endFen = ch.fen();
-    const verbose = ch.history({ verbose: true });
-    setBaseFen(base);
-    setMoves(applied);
-    setCurrentPly(0);
-    const { ch: startGame, lm: startMove } = getPositionAtPly(0);
-    setGame(startGame);
-    setFenText(startGame.fen());
-    setLastMove(startMove);
-    setLastLoadedName("PGN import");
+  // Take back to your last move: your move alone while the computer thinks,
+  // otherwise its reply and your move (one move in a practice game). The
+  // clocks go back to their times at that point.
+  function takeBack() {
+    if (!play.canTakeBack) return;
+    const count = play.game.opponent === "human" || currentNode.color === play.game.color[0] ? 1 : 2;
+    if (currentPly - count < play.game.startPly) return;
+    let id = currentId;
+    for (let i = 1; i < count; i++) id = tree.nodes[id].parentId;
+    const { tree: nextTree, id: parentId } = deleteFrom(tree, id);
+    editTree(nextTree, { currentId: parentId });
+    if (clock.running) clock.set(clocksAt(nextTree, parentId, timeControl), new Chess(nextTree.nodes[parentId].fen).turn());
+  }
+
+  // ==== Library ====
+  async function openSavedGame(id, view) {
+    const record = await library.get(id);
+    if (!record) {
+      setPgnError("That game isn't in the library any more.");
+      navigate("/analysis", { replace: true });
+      return;
+    }
+    showPgn(record.pgn, record.name, { ...view, libraryId: record.id });
+  }
+
+  // Tags worth storing: the empty ones are only placeholders
+  const savedHeaders = () => Object.fromEntries(Object.entries(pgnHeaders).filter(([, v]) => v));
+
+  async function saveToLibrary({ name, folder, tags }) {
+    const record = await library.add({ pgn: exportPgn(tree, pgnHeaders), headers: savedHeaders(), name, folder, tags });
+    if (record) {
+      setLibraryId(record.id);
+      setLastLoadedName(record.name);
+      navigate(`/game/${record.id}${boardSearch}`, { replace: true });
+    }
+    return record;
+  }
+
+  function saveLibraryChanges() {
+    return library.update(libraryId, { pgn: exportPgn(tree, pgnHeaders), headers: savedHeaders() });
+  }
+
+  // Game details from PGN tags (or a share link)
+  function applyHeaders(headers) {
+    boardResultRef.current = null;
+    setEventInfo({
+      event: headers.Event || "",
+      site: headers.Site || "",
+      date: headers.Date || "",
+      round: headers.Round || "",
+      result: headers.Result || "*",
+    });
+    setExtraTags(Object.fromEntries(Object.entries(headers).filter(([k]) => !OWN_TAGS.includes(k))));
+    setWhiteName(headers.White && headers.White !== "?" ? headers.White : "");
+    setBlackName(headers.Black && headers.Black !== "?" ? headers.Black : "");
+    setWhiteElo(headers.WhiteElo && headers.WhiteElo !== "?" ? headers.WhiteElo : "");
+    setBlackElo(headers.BlackElo && headers.BlackElo !== "?" ? headers.BlackElo : "");
+    setWhiteTitle(headers.WhiteTitle || "");
+    setBlackTitle(headers.BlackTitle || "");
+  }
+
+  // Open a repertoire tree on the board; edits are saved back until another game is loaded
+  function editRepertoire(color) {
+    load(new Chess().fen(), repertoire.tree);
+    leavePlay();
+    setLibraryId(null);
+    setRepertoireEditing(color);
+    setLastLoadedName(`${color === "white" ? "White" : "Black"} repertoire`);
+    setBoardOrientation(color);
+  }
+
+  // Pasted text or a file may hold a whole database: index it off the main
+  // thread, open the first game and list all of them in the game browser.
+  async function importPgn(text) {
+    setPgnError("");
+    setIndexStatus("Reading games…");
+    let list;
+    try {
+      list = await indexPgnGames(text, (done, total) => setIndexStatus(`Reading games… ${done}/${total}`));
+    } catch (e) {
+      setPgnError(e?.message || "Failed to read PGN.");
+      return;
+    } finally {
+      setIndexStatus("");
+    }
+    if (!list.length) { setPgnError("No games found."); return; }
+    setGames(list.length > 1 ? list : []);
+    openGame(list[0], list.length);
+  }
+
+  function openGame(g, total = games.length) {
+    setGameIndex(g.index);
+    unlinkSavedGame();
+    loadPgnGame(g.text, total > 1 ? `Game ${g.index + 1} of ${total}` : "PGN import");
   }
 
   function importPgnFromFile(file) {
@@ -399,60 +790,165 @@ export default function App() {
     reader.readAsText(file);
   }
 
+  // ==== PGN Export ====
+  function setHeader(tag, value) {
+    const infoKey = { Event: "event", Site: "site", Date: "date", Round: "round", Result: "result" }[tag];
+    const setters = {
+      White: setWhiteName, Black: setBlackName, WhiteElo: setWhiteElo, BlackElo: setBlackElo,
+      WhiteTitle: setWhiteTitle, BlackTitle: setBlackTitle,
+    };
+    if (tag === "Result") boardResultRef.current = null;
+    if (infoKey) setEventInfo((i) => ({ ...i, [infoKey]: value }));
+    else setters[tag]?.(value);
+  }
+
+  async function copyPgn() {
+    try { await navigator.clipboard.writeText(exportPgn(tree, pgnHeaders)); }
+    catch { setPgnError("Couldn't copy to the clipboard."); }
+  }
+
+  function downloadPgn() {
+    const name = [whiteName, blackName].filter(Boolean).join(" vs ") || "chessburn";
+    const url = URL.createObjectURL(new Blob([exportPgn(tree, pgnHeaders)], { type: "application/x-chess-pgn" }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `${name.replace(/[^\w.-]+/g, "_")}.pgn`;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
   async function copyCurrentFen() {
-    try { await navigator.clipboard.writeText(game.fen()); } catch {}
+    try { await navigator.clipboard.writeText(fen); }
+    catch { setFenError("Couldn't copy to the clipboard."); }
   }
+  // Link to this view: start position, the line through the current move,
+  // the current ply, orientation and (optionally) the game details
   async function copyShareLink() {
     try {
-      const url = new URL(window.location.href);
-      url.searchParams.set("fen", game.fen());
+      const url = new URL(window.location.origin + window.location.pathname);
+      gameToParams({
+        startFen: baseFen,
+        sans: line.map((id) => tree.nodes[id].san),
+        ply: currentPly,
+        orientation: boardOrientation,
+        headers: shareHeaders ? pgnHeaders : null,
+      }, url.searchParams);
       await navigator.clipboard.writeText(url.toString());
-    } catch {}
+    } catch {
+      setFenError("Couldn't copy to the clipboard.");
+    }
   }
 
-  // --- Chessboard v5 migration ---
-  const chessRef = useRef(new Chess(baseFen));
-  const [chessPosition, setChessPosition] = useState(baseFen);
+  async function copyPuzzleLink(puzzle) {
+    try {
+      const url = new URL(window.location.origin + window.location.pathname);
+      puzzleToParams(puzzle, url.searchParams);
+      await navigator.clipboard.writeText(url.toString());
+    } catch {
+      setFenError("Couldn't copy to the clipboard.");
+    }
+  }
+
+  // ==== Board highlights ====
   const [moveFrom, setMoveFrom] = useState("");
-  const [squareStyles, setSquareStyles] = useState({});
+  const [optionSquares, setOptionSquares] = useState({});
 
-  // Sync chessRef and position on FEN/PGN load/reset
+  // A new position drops any half-made click-to-move selection or promotion
   useEffect(() => {
-    chessRef.current = new Chess(baseFen);
-    setChessPosition(baseFen);
     setMoveFrom("");
-    setSquareStyles({});
-  }, [baseFen]);
+    setOptionSquares({});
+    setPendingPromotion(null);
+  }, [boardFen]);
 
-  // Last-move highlight (yellow/green)
-  useEffect(() => {
-    if (lastMove) {
-      setSquareStyles(styles => ({
-        ...styles,
-        [lastMove.from]: { background: "radial-gradient(circle, rgba(255,215,0,.45) 36%, transparent 40%)" },
-        [lastMove.to]:   { background: "radial-gradient(circle, rgba(50,205,50,.45) 36%, transparent 40%)" },
-      }));
+  // Last-move highlight (yellow/green) under the legal-move dots
+  const shownLastMove = boardMode ? boardMode.lastMove : lastMove;
+  const squareStyles = { ...boardMode?.highlights, ...(settings.showLegalMoves ? optionSquares : {}) };
+  if (shownLastMove && settings.showLastMove) {
+    squareStyles[shownLastMove.from] ??= { background: "radial-gradient(circle, rgba(255,215,0,.45) 36%, transparent 40%)" };
+    squareStyles[shownLastMove.to] ??= { background: "radial-gradient(circle, rgba(50,205,50,.45) 36%, transparent 40%)" };
+  }
+
+  // Screen readers hear the pieces a sighted player sees, and each move spoken
+  const visiblePieces = blindBoard
+    ? Object.fromEntries(Object.entries(boardPosition).map(([square, p]) => [square, p.pieceType]))
+    : placementToPieces(boardFen.split(" ")[0]);
+  const moveAnnouncement = boardMode
+    ? (shownLastMove ? spokenLastMove(boardFen, shownLastMove) : "")
+    : `${spokenNode(currentNode)}${status.result ? `. ${status.reason}` : ""}`;
+
+  // The king in check
+  if (boardStatus.kingSquare) {
+    squareStyles[boardStatus.kingSquare] = {
+      ...squareStyles[boardStatus.kingSquare],
+      background: "radial-gradient(circle, rgba(255,0,0,.85) 0%, rgba(231,0,0,.5) 30%, transparent 72%)",
+    };
+  }
+
+  // ==== Drawings ====
+  // Right-drag draws an arrow, right-click circles a square (Shift red, Alt
+  // blue, Ctrl yellow, else green). They belong to the displayed move and are
+  // saved as [%cal]/[%csl] in the PGN. Training modes keep the board's own
+  // throwaway arrows.
+  const [drawing, setDrawing] = useState(null);   // { from, to, color } while right-dragging
+  const canDraw = !boardMode;
+  const squareAt = (e) => e.target.closest?.("[data-square]")?.dataset.square || null;
+
+  function startDrawing(e) {
+    const square = e.button === 2 && canDraw ? squareAt(e) : null;
+    setDrawing(square ? { from: square, to: square, color: shapeColor(e) } : null);
+  }
+
+  function moveDrawing(e) {
+    const square = drawing && squareAt(e);
+    if (square && (square !== drawing.to || shapeColor(e) !== drawing.color)) {
+      setDrawing({ ...drawing, to: square, color: shapeColor(e) });
     }
-  }, [lastMove]);
+  }
+
+  function finishDrawing(e) {
+    if (!drawing || e.button !== 2) return;
+    const to = squareAt(e) || drawing.to;
+    const color = shapeColor(e);
+    setDrawing(null);
+    const patch = to === drawing.from
+      ? { circles: toggleCircle(currentNode.circles, { square: to, color }) }
+      : { arrows: toggleArrow(currentNode.arrows, { from: drawing.from, to, color }) };
+    editTree(updateNode(tree, currentId, patch), { record: false });
+  }
+
+  const clearDrawings = () => editTree(updateNode(tree, currentId, { arrows: [], circles: [] }), { record: false });
+  const hasDrawings = canDraw && !!(currentNode.arrows?.length || currentNode.circles?.length);
+
+  const boardArrows = !canDraw ? [] : [
+    ...(currentNode.arrows || []),
+    ...(drawing && drawing.to !== drawing.from ? [drawing] : []),
+  ].map((a) => ({ startSquare: a.from, endSquare: a.to, color: SHAPE_COLORS[a.color] }));
+
+  // Circles are rings drawn over whatever the square already shows
+  for (const { square, color } of canDraw ? currentNode.circles || [] : []) {
+    const ring = `radial-gradient(circle, transparent 62%, ${SHAPE_COLORS[color]} 64%, ${SHAPE_COLORS[color]} 72%, transparent 74%)`;
+    const { background, ...style } = squareStyles[square] || {};
+    squareStyles[square] = background ? { ...style, background: `${ring}, ${background}` } : { ...style, backgroundImage: ring };
+  }
 
   // Get move options for a square (show valid moves)
   function getMoveOptions(square) {
-    const moves = chessRef.current.moves({ square, verbose: true });
+    const moves = gameOver ? [] : boardGame.moves({ square, verbose: true });
     if (moves.length === 0) {
-      setSquareStyles({});
+      setOptionSquares({});
       return false;
     }
     const newSquares = {};
     for (const move of moves) {
       newSquares[move.to] = {
-        background: chessRef.current.get(move.to) && chessRef.current.get(move.to)?.color !== chessRef.current.get(square)?.color
+        background: boardGame.get(move.to) && boardGame.get(move.to)?.color !== boardGame.get(square)?.color
           ? 'radial-gradient(circle, rgba(0,0,0,.1) 85%, transparent 85%)'
           : 'radial-gradient(circle, rgba(0,0,0,.1) 25%, transparent 25%)',
         borderRadius: '50%'
       };
     }
     newSquares[square] = { background: 'rgba(255, 255, 0, 0.4)' };
-    setSquareStyles(newSquares);
+    setOptionSquares(newSquares);
     return true;
   }
 
@@ -463,74 +959,105 @@ export default function App() {
       if (hasMoveOptions) setMoveFrom(square);
       return;
     }
-    const moves = chessRef.current.moves({ square: moveFrom, verbose: true });
+    const moves = boardGame.moves({ square: moveFrom, verbose: true });
     const foundMove = moves.find(m => m.from === moveFrom && m.to === square);
     if (!foundMove) {
       const hasMoveOptions = getMoveOptions(square);
       setMoveFrom(hasMoveOptions ? square : "");
       return;
     }
-    try {
-      chessRef.current.move({ from: moveFrom, to: square, promotion: 'q' });
-      setChessPosition(chessRef.current.fen());
+    if (foundMove.promotion) {
       setMoveFrom("");
-      setSquareStyles({});
-      setLastMove({ from: moveFrom, to: square });
-    } catch {
+      setOptionSquares({});
+      playBoardMove(moveFrom, square);
+      return;
+    }
+    if (!playBoardMove(moveFrom, square)) {
       const hasMoveOptions = getMoveOptions(square);
       if (hasMoveOptions) setMoveFrom(square);
-      return;
     }
   }
 
   // Drag-and-drop handler
-  function onPieceDrop(sourceSquare, targetSquare, piece) {
+  function onPieceDrop(sourceSquare, targetSquare) {
     if (!targetSquare) return false;
-    try {
-      chessRef.current.move({ from: sourceSquare, to: targetSquare, promotion: 'q' });
-      setChessPosition(chessRef.current.fen());
-      setMoveFrom("");
-      setSquareStyles({});
-      setLastMove({ from: sourceSquare, to: targetSquare });
-      return true;
-    } catch {
-      return false;
-    }
+    return playBoardMove(sourceSquare, targetSquare); // true lets react-chessboard accept the drop
   }
 
-  // Build SAN pairs for the move list
-  const pairs = [];
-  for (let i = 0; i < moves.length; i += 2) {
-    pairs.push([moves[i], moves[i + 1]].filter(Boolean));
-  }
-
-  // Move number offset (from base FEN’s 6th field)
-  const baseFullmove = (() => {
-    try { return parseInt(baseFen.split(" ")[5] || "1", 10) || 1; } catch { return 1; }
-  })();
-
   // Step controls availability
   const canBack = currentPly > 0;
-  const canForward = currentPly < moves.length;
+  const canForward = currentPly < lineLength;
   const stepBack = () => canBack && jumpToPly(currentPly - 1);
   const stepForward = () => canForward && jumpToPly(currentPly + 1);
-  const goLatest = () => canForward && jumpToPly(moves.length);
+  const goLatest = () => canForward && jumpToPly(lineLength);
   const goStart = () => currentPly !== 0 && jumpToPly(0);
 
+  // Variation editing on the current move
+  const inVariation = !isMainline(tree, currentId);
+  const promoteCurrent = () => editTree(promoteVariation(tree, currentId));
+  function deleteCurrent() {
+    const { tree: nextTree, id } = deleteFrom(tree, currentId);
+    editTree(nextTree, { currentId: id });
+  }
+
   return (
     <div style={{ maxWidth: 1000, margin: "0 auto", padding: "1rem" }}>
       <div style={{ width: "100%", display: "flex", flexDirection: "column", alignItems: "center" }}>
         <h1 style={{ textAlign: "center", marginBottom: 8, width: "100%" }}>Chessburn</h1>
-        <p style={{ textAlign: "center", color: "#bbb", marginTop: 0, width: "100%" }}>
+        <p style={{ textAlign: "center", color: "var(--cb-muted)", marginTop: 0, width: "100%" }}>
           Burn chess patterns into your brain.
         </p>
+        <NavBar
+          route={route}
+          links={[
+            { name: "analysis", label: "Analysis", href: `/analysis${boardSearch}`, active: onBoardRoute },
+            { name: "puzzle", label: "Puzzles", href: runPuzzle ? puzzlePath(runPuzzle) : "/puzzle" },
+            { name: "train", label: "Train", href: "/train" },
+            { name: "about", label: "About", href: "/about" },
+          ]}
+          onNavigate={navigate}
+        />
+        {showBoard && (
         <div style={{ display: "flex", justifyContent: "center", gap: 8, flexWrap: "wrap", marginBottom: 12, width: "100%" }}>
-          <button onClick={reset}>Reset</button>
+          <button onClick={() => { reset(); unlinkSavedGame(); }}>Reset</button>
           <button onClick={() => setBoardOrientation(o => (o === "white" ? "black" : "white"))}>Flip board</button>
+          <button onClick={() => setEditingBoard(true)} disabled={editingBoard} style={{ opacity: editingBoard ? 0.5 : 1 }}>Edit board</button>
           <button onClick={copyShareLink}>Copy share link</button>
+          <label style={{ display: "inline-flex", alignItems: "center", gap: 4, fontSize: 13, color: "var(--cb-muted)" }}>
+            <input type="checkbox" checked={shareHeaders} onChange={(e) => setShareHeaders(e.target.checked)} />
+            with game details
+          </label>
+          <button onClick={undo} disabled={!canUndo} style={{ opacity: canUndo ? 1 : 0.5 }} title="Undo (Ctrl+Z)">Undo</button>
+          <button onClick={redo} disabled={!canRedo} style={{ opacity: canRedo ? 1 : 0.5 }} title="Redo (Ctrl+Y)">Redo</button>
+          <button onClick={() => setShowSettings((v) => !v)} aria-expanded={showSettings}>Settings</button>
         </div>
+        )}
+        {showBoard && showSettings && (
+          <div style={{ width: "100%", marginBottom: 12 }}>
+            <SettingsPanel settingsState={settingsState} onClose={() => setShowSettings(false)} />
+          </div>
+        )}
       </div>
 
+      {/* Keyboard command bar: typed moves, flip, reset, goto, fen */}
+      {showBoard && commandText !== null && (
+        <CommandBar
+          initial={commandText}
+          suggest={(text) => completions(boardFen, text)}
+          onRun={runCommand}
+          onClose={() => setCommandText(null)}
+        />
+      )}
+
+      {route.name === "about" && <AboutPage />}
+      {route.name === "notFound" && (
+        <p style={{ textAlign: "center", color: "var(--cb-muted)" }}>
+          There's nothing at {window.location.pathname}.{" "}
+          <a href="/analysis" onClick={(e) => { e.preventDefault(); navigate("/analysis"); }}>Go to the analysis board</a>
+        </p>
+      )}
+
+      {showBoard && (<>
       <div
         ref={rowRef}
         style={{
@@ -544,37 +1071,102 @@ export default function App() {
             {/* Board */}
             <div style={{ flex: "0 0 auto", width: isMobileLayout ? "100%" : boardWidth }}>
               {/* Concise PGN metadata above board */}
-              {(eventInfo.event || eventInfo.site || eventInfo.date) && (
-                <div style={{ textAlign: "center", fontSize: 13, color: "#aaa", marginBottom: 2 }}>
-                  {[eventInfo.event, eventInfo.site, eventInfo.date].filter(Boolean).join(" • ")}
+              {(eventInfo.event || eventInfo.site || eventInfo.date || (opening && !boardMode)) && (
+                <div style={{ textAlign: "center", fontSize: 13, color: "var(--cb-faint)", marginBottom: 2 }}>
+                  {[
+                    eventInfo.event, eventInfo.site, eventInfo.date,
+                    !boardMode && opening && `${opening.eco} ${opening.name}`,
+                  ].filter(Boolean).join(" • ")}
                 </div>
               )}
+              {editingBoard ? (
+                <BoardEditor
+                  initialFen={fen}
+                  orientation={boardOrientation}
+                  boardOptions={{ ...boardStyleOptions(settings), pieces: settingsState.pieces }}
+                  onFlip={() => setBoardOrientation(o => (o === "white" ? "black" : "white"))}
+                  onDone={loadEditedPosition}
+                  onCancel={() => setEditingBoard(false)}
+                />
+              ) : (<>
               {/* Player names above/below board depending on orientation */}
-              <div style={{ textAlign: "center", fontWeight: "bold", marginBottom: 8, fontSize: 18 }}>
+              <div style={{ display: "flex", justifyContent: "center", alignItems: "center", gap: 10, fontWeight: "bold", marginBottom: 8, fontSize: 18 }}>
                 {boardOrientation === "white"
-                  ? `${blackName}${blackTitle ? ` [${blackTitle}]` : ""}${blackElo ? ` (${blackElo})` : ""}`
-                  : `${whiteName}${whiteTitle ? ` [${whiteTitle}]` : ""}${whiteElo ? ` (${whiteElo})` : ""}`}
+                  ? `${blackName || "Black"}${blackTitle ? ` [${blackTitle}]` : ""}${blackElo ? ` (${blackElo})` : ""}`
+                  : `${whiteName || "White"}${whiteTitle ? ` [${whiteTitle}]` : ""}${whiteElo ? ` (${whiteElo})` : ""}`}
+                <PlayerClock seconds={clocks[topColor]} running={clock.running && clock.turn === topColor} since={clock.since} delay={clock.delay} />
               </div>
               {(() => {
                 const chessboardOptions = {
                   id: "main-board",
-                  position: chessPosition,
+                  position: boardPosition,
                   boardOrientation,
-                  animationDurationInMs: 140,
+                  ...boardStyleOptions(settings),
+                  pieces: settingsState.pieces,
                   squareStyles,
+                  arrows: boardArrows,
+                  allowDrawingArrows: !canDraw,
+                  allowDragging: !gameOver,
                   onPieceDrop: ({ sourceSquare, targetSquare, piece }) =>
                     onPieceDrop(sourceSquare, targetSquare, piece),
                   onSquareClick: ({ square, piece }) =>
                     onSquareClick(square, piece),
                   boardWidth: isMobileLayout ? Math.min(window.innerWidth - 32, 420) : boardWidth
                 };
-                return <Chessboard options={chessboardOptions} />;
+                return (
+                  <div style={{ display: "flex", gap: 6 }}>
+                    {showEngine && <EvalBar score={analysis.lines[0]?.score} orientation={boardOrientation} />}
+                    <div
+                      style={{ position: "relative", flex: "1 1 auto", minWidth: 0 }}
+                      onMouseDown={startDrawing}
+                      onMouseMove={moveDrawing}
+                      onMouseUp={finishDrawing}
+                      onMouseLeave={() => setDrawing(null)}
+                    >
+                      <Chessboard options={chessboardOptions} />
+                      <AccessibleBoard
+                        pieces={visiblePieces}
+                        hidden={blindBoard}
+                        orientation={boardOrientation}
+                        turn={boardGame.turn()}
+                        selected={moveFrom}
+                        targets={Object.keys(optionSquares).filter((sq) => sq !== moveFrom)}
+                        announcement={moveAnnouncement}
+                        onActivate={(square) => onSquareClick(square, boardGame.get(square))}
+                        onCancel={() => { setMoveFrom(""); setOptionSquares({}); }}
+                      />
+                      {gameOver && (
+                        <div
+                          role="status"
+                          style={{
+                            position: "absolute", left: "50%", top: "50%", transform: "translate(-50%, -50%)",
+                            padding: "10px 18px", borderRadius: 8, background: "var(--cb-panel)", border: "1px solid var(--cb-border-strong)", boxShadow: "0 8px 24px rgba(0,0,0,.4)",
+                            color: "var(--cb-text)", textAlign: "center", pointerEvents: "none", zIndex: 5,
+                          }}
+                        >
+                          <div style={{ fontSize: 22, fontWeight: 700 }}>{RESULT_TEXT[status.result]}</div>
+                          <div style={{ color: "var(--cb-muted)", fontSize: 14 }}>{status.reason}</div>
+                        </div>
+                      )}
+                      {pendingPromotion && (
+                        <PromotionPicker
+                          color={pendingPromotion.color}
+                          pieces={settingsState.pieces}
+                          onSelect={choosePromotion}
+                          onCancel={() => setPendingPromotion(null)}
+                        />
+                      )}
+                    </div>
+                  </div>
+                );
               })()}
-              <div style={{ textAlign: "center", fontWeight: "bold", marginTop: 8, fontSize: 18 }}>
+              <div style={{ display: "flex", justifyContent: "center", alignItems: "center", gap: 10, fontWeight: "bold", marginTop: 8, fontSize: 18 }}>
                 {boardOrientation === "white"
-                  ? `${whiteName}${whiteTitle ? ` [${whiteTitle}]` : ""}${whiteElo ? ` (${whiteElo})` : ""}`
-                  : `${blackName}${blackTitle ? ` [${blackTitle}]` : ""}${blackElo ? ` (${blackElo})` : ""}`}
+                  ? `${whiteName || "White"}${whiteTitle ? ` [${whiteTitle}]` : ""}${whiteElo ? ` (${whiteElo})` : ""}`
+                  : `${blackName || "Black"}${blackTitle ? ` [${blackTitle}]` : ""}${blackElo ? ` (${blackElo})` : ""}`}
+                <PlayerClock seconds={clocks[bottomColor]} running={clock.running && clock.turn === bottomColor} since={clock.since} delay={clock.delay} />
               </div>
+              </>)}
             </div>
 
             {/* Move list: below board on mobile, right on desktop */}
@@ -590,10 +1182,10 @@ export default function App() {
             >
               <div
                 style={{
-                  border: "1px solid #2a2a2a",
+                  border: "1px solid var(--cb-border)",
                   borderRadius: 8,
-                  background: "#111",
-                  color: "#eee",
+                  background: "var(--cb-panel)",
+                  color: "var(--cb-text)",
                   height: "100%",
                   width: "100%",
                   padding: 8,
@@ -602,14 +1194,54 @@ export default function App() {
                 }}
               >
                 {/* Step controls (never scroll) */}
-                <div style={{ display: "flex", gap: 6, marginBottom: 8 }}>
+                <div style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: 6, marginBottom: 8 }}>
                   <button onClick={stepBack}    disabled={!canBack}    style={{ opacity: canBack ? 1 : 0.5 }} title="Step back (←)">◀</button>
                   <button onClick={stepForward} disabled={!canForward} style={{ opacity: canForward ? 1 : 0.5 }} title="Step forward (→)">▶</button>
                   <button onClick={goStart}     disabled={!canBack}    style={{ opacity: canBack ? 1 : 0.5 }} title="Go to start (Home)">⏮</button>
                   <button onClick={goLatest}    disabled={!canForward} style={{ opacity: canForward ? 1 : 0.5 }} title="Go to latest (End)">⏭</button>
+                  <button
+                    data-replay-control
+                    onClick={replay.toggle}
+                    disabled={!!boardMode}
+                    style={{ opacity: boardMode ? 0.5 : 1 }}
+                    title={replay.playing ? "Pause (Space)" : "Auto-replay (Space)"}
+                    aria-pressed={replay.playing}
+                  >
+                    {replay.playing ? "⏸" : "▷"}
+                  </button>
+                  <select
+                    data-replay-control
+                    value={replay.interval}
+                    onChange={(e) => replay.setInterval(Number(e.target.value))}
+                    aria-label="Replay speed"
+                    title="Seconds per move"
+                    style={{ padding: "2px 4px", borderRadius: 6, border: "1px solid var(--cb-border-strong)", background: "var(--cb-field)", color: "var(--cb-text)" }}
+                  >
+                    {REPLAY_SPEEDS.map((ms) => <option key={ms} value={ms}>{ms / 1000}s</option>)}
+                  </select>
+                  <label data-replay-control style={{ display: "inline-flex", alignItems: "center", gap: 4, fontSize: 12, color: "var(--cb-muted)" }} title="Stay longer on commented or critical moves">
+                    <input type="checkbox" checked={replay.lingerOnNotes} onChange={(e) => replay.setLingerOnNotes(e.target.checked)} />
+                    slow on notes
+                  </label>
                 </div>
 
-                <div style={{ fontWeight: 600, margin: "0 0 8px 0" }}>Moves</div>
+                {/* Engine lines for the displayed position */}
+                <EnginePanel
+                  analysis={analysis}
+                  enabled={showEngine}
+                  onToggle={setEngineOn}
+                  multiPv={multiPv}
+                  onMultiPv={setMultiPv}
+                  onPlayLine={playLine}
+                  fen={fen}
+                />
+
+                <div style={{ display: "flex", alignItems: "center", gap: 6, margin: "0 0 8px 0" }}>
+                  <span style={{ fontWeight: 600, flex: "1 1 auto" }}>Moves</span>
+                  <button onClick={promoteCurrent} disabled={!inVariation} style={{ opacity: inVariation ? 1 : 0.5, padding: "2px 8px", fontSize: 12 }} title="Promote this variation">Promote</button>
+                  <button onClick={deleteCurrent} disabled={currentPly === 0} style={{ opacity: currentPly > 0 ? 1 : 0.5, padding: "2px 8px", fontSize: 12 }} title="Delete from this move">Delete</button>
+                  {hasDrawings && <button onClick={clearDrawings} style={{ padding: "2px 8px", fontSize: 12 }} title="Remove this move's arrows and circles">Clear drawings</button>}
+                </div>
 
                 {/* Scrollable move list only (custom number column to avoid clipping) */}
                 <div
@@ -623,27 +1255,129 @@ export default function App() {
                 >
                   {isMobileLayout ? (
                     <MoveListMobile
-                      pairs={pairs}
-                      currentPly={currentPly}
-                      baseFullmove={baseFullmove}
-                      jumpToPly={jumpToPly}
+                      tree={tree}
+                      currentId={currentId}
+                      jumpToNode={jumpToNode}
                       activeMoveRef={activeMoveRef}
+                      bookExits={bookExits}
+                      judgements={reviewState.judgements}
+                      times={spentTimes}
+                      result={eventInfo.result}
                     />
                   ) : (
                     <MoveListDesktop
-                      pairs={pairs}
-                      currentPly={currentPly}
-                      baseFullmove={baseFullmove}
-                      jumpToPly={jumpToPly}
+                      tree={tree}
+                      currentId={currentId}
+                      jumpToNode={jumpToNode}
                       activeMoveRef={activeMoveRef}
+                      bookExits={bookExits}
+                      judgements={reviewState.judgements}
+                      times={spentTimes}
+                      result={eventInfo.result}
                     />
                   )}
                 </div>
+
+                {/* Comment on the current move (or the whole game at the start) */}
+                <textarea
+                  aria-label={currentPly > 0 ? `Comment on ${currentNode.san}` : "Game comment"}
+                  value={currentNode.comment || ""}
+                  onChange={(e) => editTree(updateNode(tree, currentId, { comment: e.target.value }), { record: false })}
+                  placeholder={currentPly > 0 ? `Comment on ${currentNode.san}…` : "Game comment…"}
+                  rows={2}
+                  style={{
+                    marginTop: 8, width: "100%", boxSizing: "border-box", padding: 6, resize: "vertical",
+                    borderRadius: 6, border: "1px solid var(--cb-border-strong)", background: "var(--cb-field)", color: "var(--cb-text)", fontSize: 13,
+                  }}
+                />
               </div>
             </aside>
       </div>
 
+      {/* Play vs computer */}
+      {onBoardRoute && (
+      <div style={{ marginTop: 16 }}>
+        <PlayPanel play={play} onStart={startPlay} onTakeBack={takeBack} />
+      </div>
+      )}
+
+      {/* Blindfold play and visualization drill */}
+      {onBoardRoute && (
+      <div style={{ marginTop: 16 }}>
+        <BlindfoldPanel
+          blindfold={blindfold}
+          fen={boardFen}
+          onMove={(san) => {
+            const played = playTypedMove(san);
+            if (played) blindfold.moved();
+            return played;
+          }}
+        />
+      </div>
+      )}
+
+      {/* Saved games */}
+      {onBoardRoute && (
+      <div style={{ marginTop: 16 }}>
+        <LibraryPanel
+          library={library}
+          currentId={libraryId}
+          defaultName={gameName(pgnHeaders)}
+          onSave={saveToLibrary}
+          onSaveChanges={saveLibraryChanges}
+          onOpen={(record) => {
+            showPgn(record.pgn, record.name, { libraryId: record.id });
+            navigate(`/game/${record.id}`);
+          }}
+        />
+      </div>
+      )}
+
+      {/* Engine review of the mainline */}
+      {onBoardRoute && (
+      <div style={{ marginTop: 16 }}>
+        <ReviewPanel
+          reviewState={reviewState}
+          whiteName={whiteName}
+          blackName={blackName}
+          currentPly={mainlinePly}
+          onSelectPly={(ply) => jumpToNode(ply > 0 ? reviewState.mainline[ply - 1] : ROOT_ID)}
+        />
+      </div>
+      )}
+
+      {/* Puzzles */}
+      {route.name === "puzzle" && (
+      <div style={{ marginTop: 16 }}>
+        <PuzzlePanel puzzles={puzzles} onShare={copyPuzzleLink} />
+      </div>
+      )}
+
+      {/* Opening repertoire */}
+      {route.name === "train" && (<>
+      <div style={{ marginTop: 16 }}>
+        <RepertoirePanel
+          repertoire={repertoire}
+          gameTree={tree}
+          gamePath={line.slice(0, currentPly)}
+          editing={repertoireEditing}
+          onEdit={editRepertoire}
+          onStopEditing={() => setRepertoireEditing(null)}
+        />
+      </div>
+
+      {/* Pattern trainer */}
+      <div style={{ marginTop: 16 }}>
+        <TrainerPanel
+          trainer={trainer}
+          fen={fen}
+          continuation={line.slice(currentPly).map((id) => tree.nodes[id].san)}
+        />
+      </div>
+      </>)}
+
       {/* FEN + PGN Loaders */}
+      {onBoardRoute && (
       <div style={{ marginTop: 16 }}>
         {/* FEN */}
         <label htmlFor="fen" style={{ display: "block", fontWeight: 600, marginBottom: 6 }}>FEN Loader</label>
@@ -661,7 +1395,7 @@ export default function App() {
           placeholder="Paste a 6-field FEN and press Enter or Load"
           style={{
             width: "100%", padding: "10px", fontFamily: "monospace", borderRadius: 6,
-            border: fenError ? "2px solid #7f1d1d" : "1px solid #333", background: "#111", color: "#eee",
+            border: fenError ? "2px solid #7f1d1d" : "1px solid var(--cb-border-strong)", background: "var(--cb-panel)", color: "var(--cb-text)",
           }}
         />
         <div style={{ display: "flex", gap: 8, marginTop: 8, flexWrap: "wrap" }}>
@@ -669,11 +1403,11 @@ export default function App() {
           <button onClick={copyCurrentFen}>Copy FEN</button>
           <button onClick={loadRandomFen}>Random test FEN</button>
         </div>
-        {lastLoadedName && <div style={{ marginTop: 6, color: "#bbb" }}>Loaded: <strong>{lastLoadedName}</strong></div>}
-        {fenError && <div style={{ color: "#fca5a5", marginTop: 6 }}>{fenError}</div>}
+        {lastLoadedName && <div style={{ marginTop: 6, color: "var(--cb-muted)" }}>Loaded: <strong>{lastLoadedName}</strong></div>}
+        {fenError && <div style={{ color: "var(--cb-error)", marginTop: 6 }}>{fenError}</div>}
 
         {/* PGN */}
-        <hr style={{ borderColor: "#333", margin: "16px 0" }} />
+        <hr style={{ borderColor: "var(--cb-border-strong)", margin: "16px 0" }} />
         <label htmlFor="pgn" style={{ display: "block", fontWeight: 600, marginBottom: 6 }}>PGN Import</label>
         <textarea
           id="pgn"
@@ -684,8 +1418,8 @@ export default function App() {
           style={{
             width: "100%", padding: "10px",
             fontFamily: "ui-monospace, SFMono-Regular, Menlo, Consolas, monospace",
-            borderRadius: 6, border: pgnError ? "2px solid #7f1d1d" : "1px solid #333",
-            background: "#111", color: "#eee", whiteSpace: "pre-wrap",
+            borderRadius: 6, border: pgnError ? "2px solid #7f1d1d" : "1px solid var(--cb-border-strong)",
+            background: "var(--cb-panel)", color: "var(--cb-text)", whiteSpace: "pre-wrap",
           }}
         />
         <div style={{ display: "flex", gap: 8, marginTop: 8, flexWrap: "wrap", alignItems: "center" }}>
@@ -697,11 +1431,34 @@ export default function App() {
               style={{ display: "none" }}
               onChange={(e) => importPgnFromFile(e.target.files?.[0] || null)}
             />
-            <span style={{ border: "1px solid #333", padding: "6px 10px", borderRadius: 6 }}>Choose .pgn file…</span>
+            <span style={{ border: "1px solid var(--cb-border-strong)", padding: "6px 10px", borderRadius: 6 }}>Choose .pgn file…</span>
           </label>
         </div>
-        {pgnError && <div style={{ color: "#fca5a5", marginTop: 6 }}>{pgnError}</div>}
+        {indexStatus && <div style={{ color: "var(--cb-muted)", marginTop: 6 }}>{indexStatus}</div>}
+        {pgnError && <div style={{ color: "var(--cb-error)", marginTop: 6 }}>{pgnError}</div>}
+        {games.length > 1 && <GameBrowser games={games} currentIndex={gameIndex} onOpen={(g) => openGame(g)} />}
+
+        {/* PGN export */}
+        <hr style={{ borderColor: "var(--cb-border-strong)", margin: "16px 0" }} />
+        <div style={{ display: "block", fontWeight: 600, marginBottom: 6 }}>PGN Export</div>
+        <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+          <button onClick={copyPgn}>Copy PGN</button>
+          <button onClick={downloadPgn}>Download .pgn</button>
+        </div>
+        <details style={{ marginTop: 8 }}>
+          <summary style={{ cursor: "pointer", color: "var(--cb-muted)" }}>Game details</summary>
+          <HeaderEditor
+            headers={{
+              Event: eventInfo.event, Site: eventInfo.site, Date: eventInfo.date, Round: eventInfo.round,
+              Result: eventInfo.result, White: whiteName, Black: blackName,
+              WhiteTitle: whiteTitle, BlackTitle: blackTitle, WhiteElo: whiteElo, BlackElo: blackElo,
+            }}
+            onChange={setHeader}
+          />
+        </details>
       </div>
+      )}
+      </>)}
     </div>
   );
 }
@@ -0,0 +1,22 @@
+const box = { border: "1px solid var(--cb-border)", borderRadius: 8, background: "var(--cb-panel)", color: "var(--cb-text)", padding: 16, maxWidth: 640, margin: "0 auto", lineHeight: 1.5 };
+
+export default function AboutPage() {
+  return (
+    <div style={box}>
+      <h2 style={{ marginTop: 0 }}>About Chessburn</h2>
+      <p>
+        Chessburn is a chess study board that runs entirely in your browser. Nothing you load or
+        save leaves your machine.
+      </p>
+      <ul style={{ paddingLeft: 20, color: "var(--cb-muted)" }}>
+        <li><strong style={{ color: "var(--cb-text)" }}>Analysis</strong>: load a FEN or PGN (whole databases too), explore variations, annotate moves, classify the opening, analyse with Stockfish, review a game's accuracy and keep games in a local library.</li>
+        <li><strong style={{ color: "var(--cb-text)" }}>Puzzles</strong>: solve tactics from the Lichess puzzle CSV or your own PGN files.</li>
+        <li><strong style={{ color: "var(--cb-text)" }}>Train</strong>: build an opening repertoire and drill it, and review saved patterns with spaced repetition.</li>
+      </ul>
+      <p style={{ color: "var(--cb-muted)" }}>
+        Every page has its own address. The analysis board keeps the game, the current move and the
+        board orientation in the URL, so a copied link shows exactly the same view. Your last session comes back when you return.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,98 @@
+import { useRef, useState } from "react";
+import { spokenPiece } from "../../lib/speech.js";
+
+const FILES = "abcdefgh";
+
+// Read by screen readers, not shown
+const offscreen = { position: "absolute", width: 1, height: 1, overflow: "hidden", clip: "rect(0 0 0 0)", whiteSpace: "nowrap" };
+
+// Square shown at (row, col) from the top left, and back
+function squareAt(row, col, orientation) {
+  return orientation === "white" ? `${FILES[col]}${8 - row}` : `${FILES[7 - col]}${row + 1}`;
+}
+
+function cellOf(square, orientation) {
+  const file = FILES.indexOf(square[0]);
+  const rank = Number(square[1]);
+  return orientation === "white" ? { row: 8 - rank, col: file } : { row: rank - 1, col: 7 - file };
+}
+
+const STEPS = { ArrowUp: [-1, 0], ArrowDown: [1, 0], ArrowLeft: [0, -1], ArrowRight: [0, 1] };
+
+// Keyboard and screen-reader layer over the chessboard: one focusable cell
+// per square (arrow keys move between them, as seen on screen), Enter/Space
+// works like a click, Escape drops the selection. The mouse passes through to
+// the board underneath. `pieces` are the visible ones ({ e4: "wP" });
+// `hidden` is set while blindfold hides some, so empty squares aren't called
+// empty. `announcement` speaks the latest move.
+export default function AccessibleBoard({ pieces, hidden, orientation, turn, selected, targets, announcement, onActivate, onCancel }) {
+  const [focusSquare, setFocusSquare] = useState(null);
+  const cells = useRef({});
+  const current = focusSquare || (orientation === "white" ? "a1" : "h8");
+
+  function onKeyDown(e, square) {
+    const step = STEPS[e.key];
+    if (step) {
+      const { row, col } = cellOf(square, orientation);
+      const next = squareAt(Math.min(7, Math.max(0, row + step[0])), Math.min(7, Math.max(0, col + step[1])), orientation);
+      setFocusSquare(next);
+      cells.current[next]?.focus();
+    }
+    else if (e.key === "Enter" || e.key === " ") onActivate(square);
+    else if (e.key === "Escape") onCancel();
+    else return;
+    // Keep arrows and Space away from the move-list shortcuts
+    e.preventDefault();
+    e.stopPropagation();
+  }
+
+  function label(square) {
+    const code = pieces[square];
+    const parts = [square];
+    if (code) parts.push(spokenPiece(code));
+    else if (!hidden) parts.push("empty");
+    if (square === selected) parts.push("selected");
+    if (targets.includes(square)) parts.push("can move here");
+    return parts.join(", ");
+  }
+
+  const selection = selected
+    ? `${pieces[selected] ? spokenPiece(pieces[selected]) : "Piece"} on ${selected} selected. ${targets.length ? `Moves to ${targets.join(", ")}.` : "No moves."}`
+    : "";
+
+  return (
+    <>
+      <div
+        role="grid"
+        aria-label={`Chessboard, ${turn === "w" ? "White" : "Black"} to move`}
+        style={{
+          position: "absolute", inset: 0, zIndex: 1, pointerEvents: "none",
+          display: "grid", gridTemplateColumns: "repeat(8, 1fr)", gridTemplateRows: "repeat(8, 1fr)",
+        }}
+      >
+        {Array.from({ length: 8 }, (_, row) => (
+          <div key={row} role="row" style={{ display: "contents" }}>
+            {Array.from({ length: 8 }, (_, col) => {
+              const square = squareAt(row, col, orientation);
+              return (
+                <div
+                  key={square}
+                  ref={(el) => { cells.current[square] = el; }}
+                  role="gridcell"
+                  tabIndex={square === current ? 0 : -1}
+                  aria-label={label(square)}
+                  aria-selected={square === selected}
+                  onFocus={() => setFocusSquare(square)}
+                  onKeyDown={(e) => onKeyDown(e, square)}
+                  onClick={() => onActivate(square)}
+                />
+              );
+            })}
+          </div>
+        ))}
+      </div>
+      <div aria-live="polite" style={offscreen}>{announcement}</div>
+      <div aria-live="polite" style={offscreen}>{selection}</div>
+    </>
+  );
+}
@@ -0,0 +1,114 @@
+import { useState } from "react";
+import { BLINDFOLD_MODES } from "../../lib/visualization.js";
+
+const box = { border: "1px solid var(--cb-border)", borderRadius: 8, background: "var(--cb-panel)", color: "var(--cb-text)", padding: 12 };
+const input = { padding: "4px 6px", borderRadius: 6, border: "1px solid var(--cb-border-strong)", background: "var(--cb-field)", color: "var(--cb-text)" };
+
+// Blindfold play and visualization drill on the game board. onMove(san)
+// plays a typed move and returns whether it was legal; `fen` is the
+// displayed position the drill asks about.
+export default function BlindfoldPanel({ blindfold, fen, onMove }) {
+  const [moveText, setMoveText] = useState("");
+  const [answerText, setAnswerText] = useState("");
+  const [error, setError] = useState("");
+  const { score, question } = blindfold;
+  const toMove = fen.split(" ")[1] === "w" ? "White" : "Black";
+
+  function submitMove(e) {
+    e.preventDefault();
+    if (!moveText.trim()) return;
+    if (onMove(moveText.trim())) {
+      setMoveText("");
+      setError("");
+    } else {
+      setError(`“${moveText.trim()}” isn't a legal move for ${toMove} here.`);
+    }
+  }
+
+  function ask() {
+    setAnswerText("");
+    blindfold.ask(fen);
+  }
+
+  function submitAnswer(e) {
+    e.preventDefault();
+    if (answerText.trim()) blindfold.answer(answerText);
+  }
+
+  const choices = question?.kind === "attacked" ? ["yes", "no"] : question?.kind === "color" ? ["light", "dark"] : null;
+
+  return (
+    <div style={box}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
+        <strong>Blindfold</strong>
+        <span style={{ color: "var(--cb-muted)", fontSize: 13 }}>
+          Score {score.points} · {score.moves} move{score.moves === 1 ? "" : "s"} · {score.peeks} peek{score.peeks === 1 ? "" : "s"} · {score.right}/{score.asked} answers · best {blindfold.best}
+        </span>
+      </div>
+
+      <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center", marginTop: 8 }}>
+        <select style={input} value={blindfold.mode} onChange={(e) => blindfold.setMode(e.target.value)} aria-label="Hidden pieces">
+          {BLINDFOLD_MODES.map((m) => <option key={m.value} value={m.value}>{m.label}</option>)}
+        </select>
+        {blindfold.mode === "recent" && (
+          <select style={input} value={blindfold.recentPlies} onChange={(e) => blindfold.setRecentPlies(Number(e.target.value))} aria-label="Recent moves shown">
+            {[1, 2, 4, 6, 8].map((n) => <option key={n} value={n}>last {n} {n === 1 ? "move" : "moves"}</option>)}
+          </select>
+        )}
+        <button onClick={blindfold.peek} disabled={!blindfold.hidden} style={{ opacity: blindfold.hidden ? 1 : 0.5 }} title={`Show the pieces briefly (−${blindfold.peekCost} points)`}>
+          Peek
+        </button>
+        <button onClick={blindfold.resetScore} style={{ padding: "2px 8px", fontSize: 12 }}>Reset score</button>
+      </div>
+
+      {/* Typed moves */}
+      <form onSubmit={submitMove} style={{ display: "flex", gap: 8, marginTop: 8 }}>
+        <input
+          style={{ ...input, flex: "1 1 auto", fontFamily: "monospace" }}
+          value={moveText}
+          onChange={(e) => { setMoveText(e.target.value); setError(""); }}
+          placeholder={`${toMove} to move: e.g. Nf3`}
+          aria-label="Type a move in SAN"
+          autoComplete="off"
+          spellCheck={false}
+        />
+        <button type="submit">Play</button>
+      </form>
+      {error && <div style={{ color: "var(--cb-error)", marginTop: 6 }}>{error}</div>}
+
+      {/* Visualization drill */}
+      <div style={{ marginTop: 10 }}>
+        {question ? (
+          <>
+            <p style={{ margin: "0 0 6px" }}>{question.text}</p>
+            {!question.result && (choices ? (
+              <div style={{ display: "flex", gap: 8 }}>
+                {choices.map((c) => <button key={c} onClick={() => blindfold.answer(c)}>{c[0].toUpperCase() + c.slice(1)}</button>)}
+              </div>
+            ) : (
+              <form onSubmit={submitAnswer} style={{ display: "flex", gap: 8 }}>
+                <input
+                  style={{ ...input, width: 70, fontFamily: "monospace" }}
+                  value={answerText}
+                  onChange={(e) => setAnswerText(e.target.value)}
+                  placeholder="e4"
+                  aria-label="Square"
+                  autoComplete="off"
+                />
+                <button type="submit">Answer</button>
+              </form>
+            ))}
+            {question.result && (
+              <p style={{ margin: "0 0 6px", color: question.result.correct ? "var(--cb-success)" : "var(--cb-error)" }}>
+                {question.result.correct ? "Right!" : `Not quite: ${question.result.expected}.`}
+              </p>
+            )}
+            {question.result && <button onClick={ask}>Next question</button>}
+          </>
+        ) : (
+          <button onClick={ask}>Ask me about this position</button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,147 @@
+import { useState } from "react";
+import { Chessboard, ChessboardProvider, SparePiece } from "react-chessboard";
+import { validateFen, placementToPieces, piecesToPlacement, possibleCastling, possibleEnPassant } from "../../lib/fen.js";
+
+const START_PLACEMENT = "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR";
+const PALETTE = ["K", "Q", "R", "B", "N", "P"];
+const RIGHTS = [
+  { right: "K", label: "White O-O" }, { right: "Q", label: "White O-O-O" },
+  { right: "k", label: "Black O-O" }, { right: "q", label: "Black O-O-O" },
+];
+const input = { padding: "4px 6px", borderRadius: 6, border: "1px solid var(--cb-border-strong)", background: "var(--cb-field)", color: "var(--cb-text)" };
+
+// Set up any position: drag pieces from the palette onto the board, move them
+// around or drag them off to remove them. With a palette piece (or the bin)
+// selected, clicking a square places (or removes) it; right-click also removes.
+// onDone(fen) receives a validated FEN. boardOptions carries the board's look
+// (colours, piece set) from the settings.
+export default function BoardEditor({ initialFen, orientation, boardOptions, onFlip, onDone, onCancel }) {
+  const [initialPlacement, initialTurn, initialCastling, initialEp] = initialFen.split(" ");
+  const [pieces, setPieces] = useState(() => placementToPieces(initialPlacement));
+  const [turn, setTurn] = useState(initialTurn);
+  const [castling, setCastling] = useState(initialCastling === "-" ? [] : [...initialCastling]);
+  const [ep, setEp] = useState(initialEp === "-" ? "" : initialEp);
+  const [tool, setTool] = useState(null);   // "wQ", "bN", … or "delete"
+
+  // Rights and en-passant squares the placement no longer allows are dropped
+  const allowedRights = possibleCastling(pieces);
+  const rights = RIGHTS.map((r) => r.right).filter((r) => castling.includes(r) && allowedRights.includes(r));
+  const epSquares = possibleEnPassant(pieces, turn);
+  const epSquare = epSquares.includes(ep) ? ep : "";
+  const fen = `${piecesToPlacement(pieces)} ${turn} ${rights.join("") || "-"} ${epSquare || "-"} 0 1`;
+  const check = validateFen(fen);
+
+  function put(square, code) {
+    setPieces((p) => {
+      const next = { ...p };
+      if (code) next[square] = code;
+      else delete next[square];
+      return next;
+    });
+  }
+
+  function onPieceDrop({ piece, sourceSquare, targetSquare }) {
+    if (piece.isSparePiece) {
+      if (targetSquare) put(targetSquare, piece.pieceType);
+      return true;
+    }
+    setPieces((p) => {
+      const next = { ...p };
+      delete next[sourceSquare];
+      if (targetSquare) next[targetSquare] = piece.pieceType;
+      return next;
+    });
+    return true;
+  }
+
+  function onSquareClick({ square }) {
+    if (tool === "delete") put(square, null);
+    else if (tool) put(square, pieces[square] === tool ? null : tool);
+  }
+
+  function toggleRight(right) {
+    setCastling((c) => (c.includes(right) ? c.filter((r) => r !== right) : [...c, right]));
+  }
+
+  const options = {
+    ...boardOptions,
+    id: "board-editor",
+    position: Object.fromEntries(Object.entries(pieces).map(([sq, code]) => [sq, { pieceType: code }])),
+    boardOrientation: orientation,
+    animationDurationInMs: 0,
+    allowDragOffBoard: true,
+    onPieceDrop,
+    onPieceClick: ({ isSparePiece, piece }) => { if (isSparePiece) setTool((t) => (t === piece.pieceType ? null : piece.pieceType)); },
+    onSquareClick,
+    onSquareRightClick: ({ square }) => put(square, null),
+  };
+
+  const paletteRow = (color, withBin) => (
+    <div style={{ display: "flex", gap: 4, justifyContent: "center", margin: "6px 0" }}>
+      {PALETTE.map((p) => {
+        const code = `${color}${p}`;
+        return (
+          <div
+            key={code}
+            title={tool === code ? "Click squares to place; click again to stop" : "Drag onto the board, or click to select"}
+            style={{ width: 40, height: 40, borderRadius: 6, background: tool === code ? "#3b82f6" : "var(--cb-border)" }}
+          >
+            <SparePiece pieceType={code} />
+          </div>
+        );
+      })}
+      {withBin && (
+        <button
+          onClick={() => setTool((t) => (t === "delete" ? null : "delete"))}
+          title="Click squares to remove pieces"
+          style={{ width: 40, height: 40, padding: 0, background: tool === "delete" ? "#3b82f6" : undefined }}
+        >
+          🗑
+        </button>
+      )}
+    </div>
+  );
+
+  return (
+    <ChessboardProvider options={options}>
+      {paletteRow(orientation === "white" ? "b" : "w", false)}
+      <Chessboard />
+      {paletteRow(orientation === "white" ? "w" : "b", true)}
+
+      <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center", marginTop: 8 }}>
+        <select style={input} value={turn} onChange={(e) => setTurn(e.target.value)} aria-label="Side to move">
+          <option value="w">White to move</option>
+          <option value="b">Black to move</option>
+        </select>
+        <select style={input} value={epSquare} onChange={(e) => setEp(e.target.value)} aria-label="En-passant square" disabled={!epSquares.length}>
+          <option value="">No en passant</option>
+          {epSquares.map((sq) => <option key={sq} value={sq}>En passant on {sq}</option>)}
+        </select>
+      </div>
+      <div style={{ display: "flex", gap: 10, flexWrap: "wrap", marginTop: 6, fontSize: 13 }}>
+        {RIGHTS.map(({ right, label }) => (
+          <label key={right} style={{ display: "inline-flex", alignItems: "center", gap: 4, opacity: allowedRights.includes(right) ? 1 : 0.5 }}>
+            <input
+              type="checkbox"
+              checked={rights.includes(right)}
+              disabled={!allowedRights.includes(right)}
+              onChange={() => toggleRight(right)}
+            />
+            {label}
+          </label>
+        ))}
+      </div>
+      <div style={{ display: "flex", gap: 8, flexWrap: "wrap", marginTop: 8 }}>
+        <button onClick={() => setPieces({})}>Clear</button>
+        <button onClick={() => { setPieces(placementToPieces(START_PLACEMENT)); setTurn("w"); setCastling(["K", "Q", "k", "q"]); }}>Start position</button>
+        <button onClick={onFlip}>Flip</button>
+      </div>
+      <div style={{ fontFamily: "monospace", fontSize: 12, color: "var(--cb-muted)", marginTop: 8, wordBreak: "break-all" }}>{fen}</div>
+      {!check.valid && <div style={{ color: "var(--cb-error)", marginTop: 4 }}>{check.error}</div>}
+      <div style={{ display: "flex", gap: 8, marginTop: 8 }}>
+        <button onClick={() => onDone(fen)} disabled={!check.valid} style={{ opacity: check.valid ? 1 : 0.5 }}>Load position</button>
+        <button onClick={onCancel}>Cancel</button>
+      </div>
+    </ChessboardProvider>
+  );
+}
@@ -0,0 +1,39 @@
+import { useEffect, useState } from "react";
+import { formatClockShort } from "../../lib/clock.js";
+
+const LOW_TIME = 20;   // seconds; shown in red below this
+const TICK_MS = 100;
+
+// A player's remaining time next to their name; nothing when unknown. A
+// running clock counts down here from `seconds` at `since` (ms), after
+// `delay` free seconds, so only this badge re-renders while it ticks.
+export default function PlayerClock({ seconds, running, since, delay = 0 }) {
+  const [now, setNow] = useState(() => Date.now());
+  const live = running && since !== null && since !== undefined;
+
+  useEffect(() => {
+    if (!live) return;
+    setNow(Date.now());
+    const timer = setInterval(() => setNow(Date.now()), TICK_MS);
+    return () => clearInterval(timer);
+  }, [live, since]);
+
+  if (seconds === null || seconds === undefined) return null;
+  const shown = live ? Math.max(0, seconds - Math.max(0, (now - since) / 1000 - delay)) : seconds;
+  return (
+    <span
+      aria-label={`Clock ${formatClockShort(shown)}`}
+      style={{
+        fontFamily: "monospace",
+        fontSize: 16,
+        padding: "2px 8px",
+        borderRadius: 6,
+        border: `1px solid ${running ? "#555" : "var(--cb-border)"}`,
+        background: running ? "var(--cb-text)" : "var(--cb-field)",
+        color: shown < LOW_TIME ? "#dc2626" : running ? "var(--cb-panel)" : "var(--cb-muted)",
+      }}
+    >
+      {formatClockShort(shown)}
+    </span>
+  );
+}
@@ -0,0 +1,97 @@
+import { useState } from "react";
+
+const input = { padding: "8px 10px", borderRadius: 6, border: "1px solid var(--cb-border-strong)", background: "var(--cb-field)", color: "var(--cb-text)" };
+
+// Mouse-free input: type a move or command, pick a suggestion with ↑/↓ (Tab
+// copies it into the input), Enter runs it, Escape closes. onRun(text)
+// returns an error message, or "" when done; the bar stays open for the next
+// move so a whole scoresheet can be typed in.
+export default function CommandBar({ initial, suggest, onRun, onClose }) {
+  const [text, setText] = useState(initial);
+  const [selected, setSelected] = useState(-1);
+  const [error, setError] = useState("");
+  const suggestions = suggest(text);
+
+  function run(value) {
+    // "goto " and "fen " need an argument first
+    if (value.endsWith(" ")) {
+      setText(value);
+      setSelected(-1);
+      return;
+    }
+    const message = onRun(value);
+    setError(message);
+    if (!message) {
+      setText("");
+      setSelected(-1);
+    }
+  }
+
+  function onKeyDown(e) {
+    if (e.key === "Escape") { e.preventDefault(); onClose(); }
+    else if (e.key === "ArrowDown" && suggestions.length) { e.preventDefault(); setSelected((i) => (i + 1) % suggestions.length); }
+    else if (e.key === "ArrowUp" && suggestions.length) { e.preventDefault(); setSelected((i) => (i <= 0 ? suggestions.length - 1 : i - 1)); }
+    else if (e.key === "Tab" && suggestions.length) {
+      e.preventDefault();
+      setText(suggestions[Math.max(0, selected)].value);
+      setSelected(-1);
+    }
+    else if (e.key === "Enter") {
+      e.preventDefault();
+      if (selected >= 0 && suggestions[selected]) run(suggestions[selected].value);
+      else if (text.trim()) run(text);
+    }
+  }
+
+  return (
+    <div
+      role="dialog"
+      aria-label="Command bar"
+      style={{
+        position: "fixed", left: "50%", bottom: 24, transform: "translateX(-50%)", zIndex: 20,
+        width: "min(440px, 92vw)", padding: 10, borderRadius: 10,
+        background: "var(--cb-panel)", border: "1px solid var(--cb-border-strong)", boxShadow: "0 8px 24px rgba(0,0,0,.4)",
+        color: "var(--cb-text)", textAlign: "left",
+      }}
+    >
+      <input
+        autoFocus
+        role="combobox"
+        aria-expanded={suggestions.length > 0}
+        aria-controls="command-suggestions"
+        aria-activedescendant={selected >= 0 ? `command-suggestion-${selected}` : undefined}
+        aria-label="Move or command"
+        value={text}
+        onChange={(e) => { setText(e.target.value); setSelected(-1); setError(""); }}
+        onKeyDown={onKeyDown}
+        onBlur={onClose}
+        placeholder="Nf3, g1f3, flip, reset, goto 24, fen …"
+        autoComplete="off"
+        spellCheck={false}
+        style={{ ...input, width: "100%", boxSizing: "border-box", fontFamily: "monospace", fontSize: 16 }}
+      />
+      {error && <div style={{ color: "var(--cb-error)", marginTop: 6, fontSize: 13 }}>{error}</div>}
+      {suggestions.length > 0 && (
+        <ul id="command-suggestions" role="listbox" style={{ listStyle: "none", margin: "6px 0 0", padding: 0 }}>
+          {suggestions.map((s, i) => (
+            <li
+              key={s.label}
+              id={`command-suggestion-${i}`}
+              role="option"
+              aria-selected={i === selected}
+              // keep the input focused: a blur would close the bar
+              onMouseDown={(e) => { e.preventDefault(); run(s.value); }}
+              style={{
+                display: "flex", justifyContent: "space-between", gap: 12, padding: "3px 8px", borderRadius: 6, cursor: "pointer",
+                background: i === selected ? "var(--cb-border-strong)" : "transparent",
+              }}
+            >
+              <span style={{ fontFamily: "monospace" }}>{s.label}</span>
+              <span style={{ color: "var(--cb-dim)", fontSize: 12 }}>{s.hint}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
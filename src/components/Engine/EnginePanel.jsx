@@ -0,0 +1,66 @@
+import { formatScore } from "../../lib/engine.js";
+
+// Engine lines for the displayed position. Clicking a move plays the line up
+// to that move; clicking the score plays the first move.
+export default function EnginePanel({ analysis, enabled, onToggle, multiPv, onMultiPv, onPlayLine, fen }) {
+  const { lines, depth, thinking, error } = analysis;
+  const [, turn, , , , fullmove] = fen.split(" ");
+
+  return (
+    <div style={{ borderBottom: "1px solid var(--cb-border)", paddingBottom: 8, marginBottom: 8 }}>
+      <div style={{ display: "flex", alignItems: "center", gap: 6 }}>
+        <label style={{ display: "inline-flex", alignItems: "center", gap: 6, fontWeight: 600, flex: "1 1 auto", cursor: "pointer" }}>
+          <input type="checkbox" checked={enabled} onChange={(e) => onToggle(e.target.checked)} />
+          Engine
+        </label>
+        {enabled && (
+          <>
+            <span style={{ color: "var(--cb-faint)", fontSize: 12 }}>
+              {depth ? `depth ${depth}` : ""}{thinking ? "…" : ""}
+            </span>
+            <select
+              value={multiPv}
+              onChange={(e) => onMultiPv(Number(e.target.value))}
+              aria-label="Number of lines"
+              style={{ padding: "1px 4px", borderRadius: 4, border: "1px solid var(--cb-border-strong)", background: "var(--cb-field)", color: "var(--cb-text)", fontSize: 12 }}
+            >
+              {[1, 2, 3, 4, 5].map((n) => <option key={n} value={n}>{n} line{n > 1 ? "s" : ""}</option>)}
+            </select>
+          </>
+        )}
+      </div>
+      {enabled && error && <div style={{ color: "var(--cb-error)", fontSize: 12, marginTop: 4 }}>{error}</div>}
+      {enabled && lines.map((l) => (
+        <div
+          key={l.multipv}
+          style={{ display: "flex", gap: 6, fontSize: 12, marginTop: 4, whiteSpace: "nowrap", overflow: "hidden", textOverflow: "ellipsis" }}
+        >
+          <button
+            onClick={() => onPlayLine(l.san.slice(0, 1))}
+            title="Play this move"
+            style={{ padding: "0 4px", fontSize: 12, fontWeight: 700, minWidth: 44 }}
+          >
+            {formatScore(l.score)}
+          </button>
+          <span style={{ overflow: "hidden", textOverflow: "ellipsis" }}>
+            {l.san.map((san, i) => {
+              const ply = i + (turn === "b" ? 1 : 0);
+              const number = Number(fullmove) + Math.floor(ply / 2);
+              const prefix = ply % 2 === 0 ? `${number}. ` : i === 0 ? `${number}... ` : "";
+              return (
+                <span
+                  key={i}
+                  onClick={() => onPlayLine(l.san.slice(0, i + 1))}
+                  title="Play the line up to here"
+                  style={{ cursor: "pointer", color: i === 0 ? "var(--cb-text)" : "var(--cb-muted)" }}
+                >
+                  {prefix}{san}{" "}
+                </span>
+              );
+            })}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,39 @@
+import { whiteShare, formatScore } from "../../lib/engine.js";
+
+// Vertical evaluation bar; White's share grows from White's side of the board
+export default function EvalBar({ score, orientation }) {
+  const white = whiteShare(score) * 100;
+  const whiteAtBottom = orientation === "white";
+  const label = formatScore(score);
+  const whiteAhead = white >= 50;
+  return (
+    <div
+      role="img"
+      aria-label={label ? `Evaluation ${label}` : "No evaluation"}
+      title={label}
+      style={{
+        position: "relative", width: 16, flex: "0 0 auto", alignSelf: "stretch",
+        borderRadius: 4, overflow: "hidden", background: "var(--cb-eval-black)", border: "1px solid var(--cb-eval-edge)",
+      }}
+    >
+      <div
+        style={{
+          position: "absolute", left: 0, right: 0, height: `${white}%`,
+          [whiteAtBottom ? "bottom" : "top"]: 0,
+          background: "var(--cb-eval-white)", transition: "height 0.3s ease",
+        }}
+      />
+      {label && (
+        <div
+          style={{
+            position: "absolute", left: 0, right: 0, textAlign: "center",
+            fontSize: 9, fontWeight: 700, color: whiteAhead ? "var(--cb-eval-black)" : "var(--cb-eval-white)",
+            [whiteAhead === whiteAtBottom ? "bottom" : "top"]: 2,
+          }}
+        >
+          {label.replace(/^[+-]/, "")}
+        </div>
+      )}
+    </div>
+  );
+}
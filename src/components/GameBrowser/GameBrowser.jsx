@@ -0,0 +1,118 @@
+import { useMemo, useState } from "react";
+
+const MAX_ROWS = 300; // rendering thousands of rows is slow; refine the filter instead
+
+const COLUMNS = [
+  { key: "white", label: "White", value: (h) => h.White || "" },
+  { key: "black", label: "Black", value: (h) => h.Black || "" },
+  { key: "elo", label: "Elo", value: (h) => eloText(h), sortValue: (h) => avgElo(h) },
+  { key: "event", label: "Event", value: (h) => h.Event || "" },
+  { key: "date", label: "Date", value: (h) => h.Date || "" },
+  { key: "result", label: "Result", value: (h) => h.Result || "" },
+  { key: "eco", label: "ECO", value: (h) => h.ECO || "" },
+];
+
+function eloNum(v) {
+  const n = parseInt(v, 10);
+  return Number.isFinite(n) ? n : null;
+}
+function eloText(h) {
+  const w = eloNum(h.WhiteElo);
+  const b = eloNum(h.BlackElo);
+  return w || b ? `${w ?? "?"}–${b ?? "?"}` : "";
+}
+function avgElo(h) {
+  const elos = [eloNum(h.WhiteElo), eloNum(h.BlackElo)].filter((n) => n !== null);
+  return elos.length ? elos.reduce((a, b) => a + b, 0) / elos.length : -1;
+}
+
+// Sortable, filterable table of the games in a multi-game PGN
+export default function GameBrowser({ games, currentIndex, onOpen }) {
+  const [filter, setFilter] = useState("");
+  const [sort, setSort] = useState({ key: null, dir: 1 });
+
+  const visible = useMemo(() => {
+    const terms = filter.toLowerCase().split(/\s+/).filter(Boolean);
+    let list = games;
+    if (terms.length) {
+      list = list.filter((g) => {
+        const hay = COLUMNS.map((c) => c.value(g.headers)).join(" ").toLowerCase();
+        return terms.every((t) => hay.includes(t));
+      });
+    }
+    const col = COLUMNS.find((c) => c.key === sort.key);
+    if (col) {
+      const get = col.sortValue || col.value;
+      list = [...list].sort((a, b) => {
+        const va = get(a.headers);
+        const vb = get(b.headers);
+        const cmp = typeof va === "number" ? va - vb : String(va).localeCompare(String(vb));
+        return cmp * sort.dir || a.index - b.index;
+      });
+    }
+    return list;
+  }, [games, filter, sort]);
+
+  function toggleSort(key) {
+    setSort((s) => (s.key === key ? { key, dir: -s.dir } : { key, dir: 1 }));
+  }
+
+  const cell = { padding: "4px 8px", borderBottom: "1px solid var(--cb-border)", whiteSpace: "nowrap", textAlign: "left" };
+
+  return (
+    <div style={{ marginTop: 12 }}>
+      <div style={{ display: "flex", gap: 8, alignItems: "center", marginBottom: 8, flexWrap: "wrap" }}>
+        <strong>{games.length} games</strong>
+        <input
+          type="search"
+          value={filter}
+          onChange={(e) => setFilter(e.target.value)}
+          placeholder="Filter by player, event, ECO, date…"
+          aria-label="Filter games"
+          style={{
+            flex: "1 1 200px", padding: "6px 10px", borderRadius: 6,
+            border: "1px solid var(--cb-border-strong)", background: "var(--cb-panel)", color: "var(--cb-text)",
+          }}
+        />
+        {filter && <span style={{ color: "var(--cb-muted)" }}>{visible.length} match</span>}
+      </div>
+      <div style={{ maxHeight: 320, overflow: "auto", border: "1px solid var(--cb-border)", borderRadius: 8, background: "var(--cb-panel)" }}>
+        <table style={{ borderCollapse: "collapse", width: "100%", fontSize: 13 }}>
+          <thead style={{ position: "sticky", top: 0, background: "var(--cb-field)" }}>
+            <tr>
+              {COLUMNS.map((c) => (
+                <th
+                  key={c.key}
+                  onClick={() => toggleSort(c.key)}
+                  aria-sort={sort.key === c.key ? (sort.dir > 0 ? "ascending" : "descending") : "none"}
+                  style={{ ...cell, cursor: "pointer", userSelect: "none" }}
+                >
+                  {c.label}{sort.key === c.key ? (sort.dir > 0 ? " ▲" : " ▼") : ""}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {visible.slice(0, MAX_ROWS).map((g) => (
+              <tr
+                key={g.index}
+                onClick={() => onOpen(g)}
+                title="Open on the board"
+                style={{ cursor: "pointer", background: g.index === currentIndex ? "var(--cb-border-strong)" : "transparent" }}
+              >
+                {COLUMNS.map((c) => (
+                  <td key={c.key} style={cell}>{c.value(g.headers)}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {visible.length > MAX_ROWS && (
+        <div style={{ color: "var(--cb-dim)", marginTop: 6, fontSize: 13 }}>
+          Showing the first {MAX_ROWS} of {visible.length} — refine the filter to see more.
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,44 @@
+const FIELDS = [
+  { tag: "Event", label: "Event" },
+  { tag: "Site", label: "Site" },
+  { tag: "Date", label: "Date", placeholder: "YYYY.MM.DD" },
+  { tag: "Round", label: "Round" },
+  { tag: "White", label: "White" },
+  { tag: "Black", label: "Black" },
+  { tag: "WhiteTitle", label: "White title", placeholder: "GM, IM, …" },
+  { tag: "BlackTitle", label: "Black title", placeholder: "GM, IM, …" },
+  { tag: "WhiteElo", label: "White Elo", inputMode: "numeric" },
+  { tag: "BlackElo", label: "Black Elo", inputMode: "numeric" },
+];
+const RESULTS = ["*", "1-0", "0-1", "1/2-1/2"];
+
+// Small form for the PGN tags of the game on the board
+export default function HeaderEditor({ headers, onChange }) {
+  const input = {
+    width: "100%", boxSizing: "border-box", padding: "6px 8px", borderRadius: 6,
+    border: "1px solid var(--cb-border-strong)", background: "var(--cb-panel)", color: "var(--cb-text)",
+  };
+  return (
+    <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(180px, 1fr))", gap: 8, marginTop: 8 }}>
+      {FIELDS.map((f) => (
+        <label key={f.tag} style={{ display: "flex", flexDirection: "column", gap: 2, fontSize: 13, color: "var(--cb-muted)" }}>
+          {f.label}
+          <input
+            type="text"
+            value={headers[f.tag] || ""}
+            placeholder={f.placeholder}
+            inputMode={f.inputMode}
+            onChange={(e) => onChange(f.tag, e.target.value)}
+            style={input}
+          />
+        </label>
+      ))}
+      <label style={{ display: "flex", flexDirection: "column", gap: 2, fontSize: 13, color: "var(--cb-muted)" }}>
+        Result
+        <select value={headers.Result || "*"} onChange={(e) => onChange("Result", e.target.value)} style={input}>
+          {RESULTS.map((r) => <option key={r} value={r}>{r}</option>)}
+        </select>
+      </label>
+    </div>
+  );
+}
@@ -0,0 +1,187 @@
+import { useMemo, useState } from "react";
+import { matchesSearch, parseTags } from "../../lib/library.js";
+
+const box = { border: "1px solid var(--cb-border)", borderRadius: 8, background: "var(--cb-panel)", color: "var(--cb-text)", padding: 12 };
+const input = { padding: "4px 6px", borderRadius: 6, border: "1px solid var(--cb-border-strong)", background: "var(--cb-field)", color: "var(--cb-text)" };
+const chip = { fontSize: 11, padding: "0 6px", borderRadius: 10, border: "1px solid var(--cb-border-strong)", color: "var(--cb-muted)" };
+const NO_FOLDER = "\u0000none";
+
+function download(text, filename, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// Saved games: save the board's game, find games by player or event, sort
+// them into folders and tags, and back the whole library up. `currentId` is
+// the saved game on the board (if any); `defaultName` names a new one.
+export default function LibraryPanel({ library, currentId, defaultName, onSave, onSaveChanges, onOpen }) {
+  const [name, setName] = useState("");
+  const [folder, setFolder] = useState("");
+  const [tagText, setTagText] = useState("");
+  const [query, setQuery] = useState("");
+  const [folderFilter, setFolderFilter] = useState("");
+  const [tagFilter, setTagFilter] = useState("");
+  const [editing, setEditing] = useState(null);   // { id, name, folder, tags } of the row being edited
+  const [message, setMessage] = useState("");
+
+  const current = library.games.find((g) => g.id === currentId) || null;
+  const visible = useMemo(() => library.games
+    .filter((g) =>
+      matchesSearch(g, query) &&
+      (!folderFilter || (folderFilter === NO_FOLDER ? !g.folder : g.folder === folderFilter)) &&
+      (!tagFilter || g.tags.includes(tagFilter)))
+    .sort((a, b) => b.updatedAt - a.updatedAt),
+  [library.games, query, folderFilter, tagFilter]);
+
+  async function save() {
+    const record = await onSave({ name, folder: folder.trim(), tags: parseTags(tagText) });
+    if (!record) return;
+    setName("");
+    setTagText("");
+    setMessage(`Saved “${record.name}”.`);
+  }
+
+  async function saveChanges() {
+    if (await onSaveChanges()) setMessage(`Saved changes to “${current.name}”.`);
+  }
+
+  async function saveEdit() {
+    const { id, ...fields } = editing;
+    await library.update(id, { name: fields.name.trim() || "Untitled game", folder: fields.folder.trim(), tags: parseTags(fields.tags) });
+    setEditing(null);
+  }
+
+  function importFile(file) {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = async () => {
+      const { added, copies, skipped } = await library.importBackup(String(reader.result || ""));
+      if (!added && !skipped) return;
+      const plural = (n) => `${n} game${n === 1 ? "" : "s"}`;
+      setMessage([
+        `Restored ${plural(added)}`,
+        copies && ` (${copies} as ${copies === 1 ? "a copy" : "copies"}: ${copies === 1 ? "its id was" : "their ids were"} taken by another game)`,
+        skipped && `; ${plural(skipped)} already in the library`,
+        ".",
+      ].filter(Boolean).join(""));
+    };
+    reader.onerror = () => setMessage("Failed to read file.");
+    reader.readAsText(file);
+  }
+
+  const stamp = new Date().toISOString().slice(0, 10);
+
+  return (
+    <div style={box}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8 }}>
+        <strong>Library</strong>
+        <span style={{ color: "var(--cb-muted)", fontSize: 13 }}>
+          {library.ready ? `${library.games.length} saved game${library.games.length === 1 ? "" : "s"}` : "Loading…"}
+        </span>
+      </div>
+
+      {/* Save the board's game */}
+      <div style={{ display: "flex", gap: 6, flexWrap: "wrap", marginTop: 8 }}>
+        <input style={{ ...input, flex: "1 1 160px" }} value={name} onChange={(e) => setName(e.target.value)} placeholder={defaultName} aria-label="Game name" />
+        <input style={{ ...input, width: 110 }} value={folder} onChange={(e) => setFolder(e.target.value)} placeholder="Folder" list="library-folders" aria-label="Folder" />
+        <input style={{ ...input, width: 130 }} value={tagText} onChange={(e) => setTagText(e.target.value)} placeholder="Tags, comma separated" aria-label="Tags" />
+        <button onClick={save}>Save as new</button>
+        {current && <button onClick={saveChanges} title={`Overwrite “${current.name}” with the board's game`}>Save changes</button>}
+      </div>
+      <datalist id="library-folders">
+        {library.folders.map((f) => <option key={f} value={f} />)}
+      </datalist>
+
+      {/* Search and filters */}
+      {library.games.length > 0 && (
+        <div style={{ display: "flex", gap: 6, flexWrap: "wrap", marginTop: 10 }}>
+          <input style={{ ...input, flex: "1 1 160px" }} value={query} onChange={(e) => setQuery(e.target.value)} placeholder="Search players, events…" aria-label="Search the library" />
+          <select style={input} value={folderFilter} onChange={(e) => setFolderFilter(e.target.value)} aria-label="Folder filter">
+            <option value="">All folders</option>
+            <option value={NO_FOLDER}>No folder</option>
+            {library.folders.map((f) => <option key={f} value={f}>{f}</option>)}
+          </select>
+          <select style={input} value={tagFilter} onChange={(e) => setTagFilter(e.target.value)} aria-label="Tag filter">
+            <option value="">All tags</option>
+            {library.tags.map((t) => <option key={t} value={t}>{t}</option>)}
+          </select>
+        </div>
+      )}
+
+      {/* Saved games */}
+      <div style={{ maxHeight: 280, overflowY: "auto", marginTop: 8 }}>
+        {visible.map((g) => (
+          <div key={g.id} style={{ padding: "6px 4px", borderBottom: "1px solid var(--cb-border)", background: g.id === currentId ? "var(--cb-selected)" : "transparent" }}>
+            {editing?.id === g.id ? (
+              <div style={{ display: "flex", gap: 6, flexWrap: "wrap" }}>
+                <input style={{ ...input, flex: "1 1 140px" }} value={editing.name} onChange={(e) => setEditing({ ...editing, name: e.target.value })} aria-label="Game name" />
+                <input style={{ ...input, width: 100 }} value={editing.folder} onChange={(e) => setEditing({ ...editing, folder: e.target.value })} placeholder="Folder" list="library-folders" aria-label="Folder" />
+                <input style={{ ...input, width: 120 }} value={editing.tags} onChange={(e) => setEditing({ ...editing, tags: e.target.value })} placeholder="Tags" aria-label="Tags" />
+                <button onClick={saveEdit}>Save</button>
+                <button onClick={() => setEditing(null)}>Cancel</button>
+              </div>
+            ) : (
+              <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+                <div style={{ flex: "1 1 auto", minWidth: 0 }}>
+                  <div style={{ fontWeight: 600, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{g.name}</div>
+                  <div style={{ fontSize: 12, color: "var(--cb-faint)" }}>
+                    {[
+                      [g.headers.White, g.headers.Black].filter((p) => p && p !== "?").join(" – "),
+                      g.headers.Event !== "?" && g.headers.Event,
+                      g.headers.Result !== "*" && g.headers.Result,
+                    ].filter(Boolean).join(" · ")}
+                  </div>
+                  {(g.folder || g.tags.length > 0) && (
+                    <div style={{ display: "flex", gap: 4, flexWrap: "wrap", marginTop: 2 }}>
+                      {g.folder && <span style={chip}>📁 {g.folder}</span>}
+                      {g.tags.map((t) => <span key={t} style={chip}>{t}</span>)}
+                    </div>
+                  )}
+                </div>
+                <button onClick={() => onOpen(g)} style={{ padding: "2px 8px", fontSize: 12 }}>Open</button>
+                <button
+                  onClick={() => setEditing({ id: g.id, name: g.name, folder: g.folder, tags: g.tags.join(", ") })}
+                  style={{ padding: "2px 8px", fontSize: 12 }}
+                >
+                  Edit
+                </button>
+                <button
+                  onClick={() => window.confirm(`Delete “${g.name}” from the library?`) && library.remove(g.id)}
+                  style={{ padding: "2px 8px", fontSize: 12 }}
+                >
+                  Delete
+                </button>
+              </div>
+            )}
+          </div>
+        ))}
+        {library.games.length > 0 && !visible.length && <div style={{ color: "var(--cb-muted)", padding: 6 }}>No saved games match.</div>}
+      </div>
+
+      {/* Backup */}
+      <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center", marginTop: 10 }}>
+        <button onClick={() => download(library.exportJson(), `chessburn-library-${stamp}.json`, "application/json")} disabled={!library.games.length}>
+          Back up (JSON)
+        </button>
+        <button onClick={() => download(library.exportPgn(), `chessburn-library-${stamp}.pgn`, "application/x-chess-pgn")} disabled={!library.games.length}>
+          Export all (PGN)
+        </button>
+        <label style={{ display: "inline-flex", alignItems: "center", cursor: "pointer" }}>
+          <input
+            type="file"
+            accept=".json,.pgn,application/json,text/plain"
+            style={{ display: "none" }}
+            onChange={(e) => { importFile(e.target.files?.[0] || null); e.target.value = ""; }}
+          />
+          <span style={{ border: "1px solid var(--cb-border-strong)", padding: "6px 10px", borderRadius: 6 }}>Restore backup…</span>
+        </label>
+      </div>
+      {library.error && <div style={{ color: "var(--cb-error)", marginTop: 6 }}>{library.error}</div>}
+      {message && !library.error && <div style={{ color: "var(--cb-success)", marginTop: 6 }}>{message}</div>}
+    </div>
+  );
+}
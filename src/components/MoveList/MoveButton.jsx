@@ -0,0 +1,38 @@
+import { spokenSan, spokenNags } from "../../lib/speech.js";
+import { JUDGEMENTS } from "../../lib/review.js";
+
+// One move in a move list. A real button so it can be tabbed to and read
+// out, annotations and review mark included; the displayed move is marked
+// aria-current. `mark` is the game review's mark for the move.
+export default function MoveButton({ node, active, leavesBook, mark, activeMoveRef, onClick, title, style, children }) {
+  const spoken = [
+    `${node.moveNumber}${node.color === "w" ? "." : "..."} ${spokenSan(node.san)}`,
+    spokenNags(node.nags),
+    mark?.judgement && `review: ${JUDGEMENTS[mark.judgement].label}`,
+    leavesBook && "leaves known theory",
+  ].filter(Boolean).join(", ");
+  return (
+    <button
+      type="button"
+      ref={(el) => { if (active) activeMoveRef.current = el; }}
+      onClick={onClick}
+      title={title}
+      aria-current={active ? "step" : undefined}
+      aria-label={spoken}
+      style={{
+        border: "none",
+        font: "inherit",
+        color: "inherit",
+        textAlign: "left",
+        cursor: "pointer",
+        background: active ? "var(--cb-border-strong)" : "transparent",
+        borderRadius: 6,
+        padding: active ? "0 4px" : 0,
+        borderBottom: leavesBook ? "2px solid #d97706" : undefined,
+        ...style,
+      }}
+    >
+      {children}
+    </button>
+  );
+}
@@ -0,0 +1,5 @@
+// PGN comment shown inline in the move lists
+export default function MoveComment({ text }) {
+  if (!text) return null;
+  return <span style={{ color: "var(--cb-dim)", fontStyle: "italic", fontSize: "0.9em" }}>{text}</span>;
+}
@@ -0,0 +1,12 @@
+import { JUDGEMENTS } from "../../lib/review.js";
+
+// Game-review mark after a move (?!, ?, ??)
+export default function MoveJudgement({ mark }) {
+  if (!mark?.judgement) return null;
+  const j = JUDGEMENTS[mark.judgement];
+  return (
+    <span title={`${j.label} (−${Math.round(mark.cpLoss)} cp)`} style={{ color: j.color, fontWeight: 700 }}>
+      {j.glyph}
+    </span>
+  );
+}
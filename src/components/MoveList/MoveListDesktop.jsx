@@ -1,8 +1,19 @@
 import React from "react";
-export default function MoveListDesktop({ pairs, currentPly, baseFullmove, jumpToPly, activeMoveRef }) {
+import VariationLine from "./VariationLine.jsx";
+import MoveComment from "./MoveComment.jsx";
+import MoveJudgement from "./MoveJudgement.jsx";
+import MoveTime from "./MoveTime.jsx";
+import MoveButton from "./MoveButton.jsx";
+import { ROOT_ID, lineRows } from "../../lib/moveTree.js";
+import { formatNags } from "../../lib/pgn.js";
+import { RESULT_TEXT } from "../../lib/gameStatus.js";
+
+export default function MoveListDesktop({ tree, currentId, jumpToNode, activeMoveRef, bookExits, judgements, times, result }) {
+  const rows = lineRows(tree);
+  const gameComment = tree.nodes[ROOT_ID].comment;
   return (
     <div
-      role="list"
+      role="group"
       aria-label="Moves"
       style={{
         display: "grid",
@@ -12,44 +23,69 @@ export default function MoveListDesktop({ pairs, currentPly, baseFullmove, jumpT
         alignItems: "center",
       }}
     >
-      {pairs.map((pair, idx) => {
-        const moveNo = baseFullmove + idx;
-        const whitePly = idx * 2;
-        const blackPly = whitePly + 1;
-        const isWhiteActive = currentPly - 1 === whitePly;
-        const isBlackActive = currentPly - 1 === blackPly;
-        return (
-          <React.Fragment key={idx}>
-            <div style={{ textAlign: "right", color: "#aaa", paddingRight: 6 }}>{moveNo}.</div>
-            <span
-              ref={(el) => { if (isWhiteActive) activeMoveRef.current = el; }}
-              onClick={() => pair[0] && jumpToPly(whitePly + 1)}
-              title={pair[0] ? `Jump to ${pair[0]}` : ""}
-              style={{
-                cursor: pair[0] ? "pointer" : "default",
-                background: isWhiteActive ? "#333" : "transparent",
-                borderRadius: 6,
-                padding: isWhiteActive ? "0 4px" : 0,
-              }}
-            >
-              {pair[0] || ""}
-            </span>
-            <span
-              ref={(el) => { if (isBlackActive) activeMoveRef.current = el; }}
-              onClick={() => pair[1] && jumpToPly(blackPly + 1)}
-              title={pair[1] ? `Jump to ${pair[1]}` : ""}
-              style={{
-                cursor: pair[1] ? "pointer" : "default",
-                background: isBlackActive ? "#333" : "transparent",
-                borderRadius: 6,
-                padding: isBlackActive ? "0 4px" : 0,
-              }}
-            >
-              {pair[1] || ""}
-            </span>
-          </React.Fragment>
-        );
-      })}
+      {gameComment && (
+        <div style={{ gridColumn: "1 / -1" }}>
+          <MoveComment text={gameComment} />
+        </div>
+      )}
+      {rows.map((row, idx) => (
+        <React.Fragment key={idx}>
+          <div style={{ textAlign: "right", color: "var(--cb-faint)", paddingRight: 6 }}>{row.moveNumber}.</div>
+          {[row.white, row.black].map((node, side) => {
+            const isActive = !!node && node.id === currentId;
+            const leavesBook = !!node && bookExits?.has(node.id);
+            return (
+              node ? (
+                <MoveButton
+                  key={side}
+                  node={node}
+                  active={isActive}
+                  leavesBook={leavesBook}
+                  mark={judgements?.get(node.id)}
+                  activeMoveRef={activeMoveRef}
+                  onClick={() => jumpToNode(node.id)}
+                  title={`Jump to ${node.san}${leavesBook ? " (leaves known theory)" : ""}`}
+                  style={{ justifySelf: "start" }}
+                >
+                  {node.san}{formatNags(node.nags)}
+                  <MoveJudgement mark={judgements?.get(node.id)} />
+                  <MoveTime seconds={times?.get(node.id)} />
+                </MoveButton>
+              ) : (
+                <span key={side} style={{ color: "var(--cb-dim)" }}>
+                  {(side === 0 && row.black) || (side === 1 && (row.comments.length || row.variations.length)) ? "…" : ""}
+                </span>
+              )
+            );
+          })}
+          {(row.comments.length > 0 || row.variations.length > 0) && (
+            <div style={{ gridColumn: "1 / -1", padding: "2px 0 2px 4ch", lineHeight: 1.6 }}>
+              {row.comments.map((text, i) => (
+                <div key={`c${i}`}>
+                  <MoveComment text={text} />
+                </div>
+              ))}
+              {row.variations.map((vid) => (
+                <div key={vid}>
+                  <VariationLine
+                    tree={tree}
+                    startId={vid}
+                    currentId={currentId}
+                    jumpToNode={jumpToNode}
+                    activeMoveRef={activeMoveRef}
+                    bookExits={bookExits}
+                    judgements={judgements}
+                    times={times}
+                  />
+                </div>
+              ))}
+            </div>
+          )}
+        </React.Fragment>
+      ))}
+      {RESULT_TEXT[result] && (
+        <div style={{ gridColumn: "2 / -1", fontWeight: 700 }} aria-label="Result">{RESULT_TEXT[result]}</div>
+      )}
     </div>
   );
 }
@@ -1,46 +1,73 @@
-export default function MoveListMobile({ pairs, currentPly, baseFullmove, jumpToPly, activeMoveRef }) {
+import VariationLine from "./VariationLine.jsx";
+import MoveComment from "./MoveComment.jsx";
+import MoveJudgement from "./MoveJudgement.jsx";
+import MoveTime from "./MoveTime.jsx";
+import MoveButton from "./MoveButton.jsx";
+import { ROOT_ID, lineRows } from "../../lib/moveTree.js";
+import { formatNags } from "../../lib/pgn.js";
+import { RESULT_TEXT } from "../../lib/gameStatus.js";
+
+export default function MoveListMobile({ tree, currentId, jumpToNode, activeMoveRef, bookExits, judgements, times, result }) {
+  const rows = lineRows(tree);
+  const gameComment = tree.nodes[ROOT_ID].comment;
   return (
-    <div style={{ display: "flex", flexDirection: "column", gap: 6 }}>
-      {pairs.length === 0 ? (
-        <div style={{ color: "#999" }}>No moves yet.</div>
+    <div role="group" aria-label="Moves" style={{ display: "flex", flexDirection: "column", gap: 6 }}>
+      {gameComment && <MoveComment text={gameComment} />}
+      {rows.length === 0 ? (
+        <div style={{ color: "var(--cb-dim)" }}>No moves yet.</div>
       ) : (
-        pairs.map((pair, idx) => {
-          const moveNo = baseFullmove + idx;
-          const whitePly = idx * 2;
-          const blackPly = whitePly + 1;
-          const isWhiteActive = currentPly - 1 === whitePly;
-          const isBlackActive = currentPly - 1 === blackPly;
-          return (
-            <div key={idx} style={{ display: "flex", gap: 8, alignItems: "center" }}>
-              <span style={{ color: "#aaa", minWidth: 32, textAlign: "right" }}>{moveNo}.</span>
-              <span
-                ref={(el) => { if (isWhiteActive) activeMoveRef.current = el; }}
-                onClick={() => pair[0] && jumpToPly(whitePly + 1)}
-                style={{
-                  cursor: pair[0] ? "pointer" : "default",
-                  background: isWhiteActive ? "#333" : "transparent",
-                  borderRadius: 6,
-                  padding: isWhiteActive ? "0 4px" : 0,
-                }}
-              >
-                {pair[0] || ""}
-              </span>
-              <span
-                ref={(el) => { if (isBlackActive) activeMoveRef.current = el; }}
-                onClick={() => pair[1] && jumpToPly(blackPly + 1)}
-                style={{
-                  cursor: pair[1] ? "pointer" : "default",
-                  background: isBlackActive ? "#333" : "transparent",
-                  borderRadius: 6,
-                  padding: isBlackActive ? "0 4px" : 0,
-                }}
-              >
-                {pair[1] || ""}
-              </span>
+        rows.map((row, idx) => (
+          <div key={idx} style={{ display: "flex", flexDirection: "column", gap: 4 }}>
+            <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+              <span style={{ color: "var(--cb-faint)", minWidth: 32, textAlign: "right" }}>{row.moveNumber}.</span>
+              {[row.white, row.black].map((node, side) => {
+                const isActive = !!node && node.id === currentId;
+                const leavesBook = !!node && bookExits?.has(node.id);
+                return (
+                  node ? (
+                    <MoveButton
+                      key={side}
+                      node={node}
+                      active={isActive}
+                      leavesBook={leavesBook}
+                      mark={judgements?.get(node.id)}
+                      activeMoveRef={activeMoveRef}
+                      onClick={() => jumpToNode(node.id)}
+                      title={leavesBook ? "Leaves known theory" : undefined}
+                    >
+                      {node.san}{formatNags(node.nags)}
+                      <MoveJudgement mark={judgements?.get(node.id)} />
+                      <MoveTime seconds={times?.get(node.id)} />
+                    </MoveButton>
+                  ) : (
+                    <span key={side} style={{ color: "var(--cb-dim)" }}>{side === 0 && row.black ? "…" : ""}</span>
+                  )
+                );
+              })}
             </div>
-          );
-        })
+            {row.comments.map((text, i) => (
+              <div key={`c${i}`} style={{ paddingLeft: 40 }}>
+                <MoveComment text={text} />
+              </div>
+            ))}
+            {row.variations.map((vid) => (
+              <div key={vid} style={{ paddingLeft: 40, lineHeight: 1.6 }}>
+                <VariationLine
+                  tree={tree}
+                  startId={vid}
+                  currentId={currentId}
+                  jumpToNode={jumpToNode}
+                  activeMoveRef={activeMoveRef}
+                  bookExits={bookExits}
+                  judgements={judgements}
+                  times={times}
+                />
+              </div>
+            ))}
+          </div>
+        ))
       )}
+      {RESULT_TEXT[result] && <div style={{ paddingLeft: 40, fontWeight: 700 }} aria-label="Result">{RESULT_TEXT[result]}</div>}
     </div>
   );
 }
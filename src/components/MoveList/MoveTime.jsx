@@ -0,0 +1,11 @@
+import { formatSpent } from "../../lib/clock.js";
+
+// Time spent on a move, from the game's [%clk] times
+export default function MoveTime({ seconds }) {
+  if (seconds === undefined) return null;
+  return (
+    <span title="Time spent" style={{ color: "var(--cb-dim)", fontSize: "0.8em", marginLeft: 4 }}>
+      {formatSpent(seconds)}
+    </span>
+  );
+}
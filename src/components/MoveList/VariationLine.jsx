@@ -0,0 +1,78 @@
+import React from "react";
+import MoveComment from "./MoveComment.jsx";
+import MoveJudgement from "./MoveJudgement.jsx";
+import MoveTime from "./MoveTime.jsx";
+import MoveButton from "./MoveButton.jsx";
+import { formatNags } from "../../lib/pgn.js";
+
+// Inline sideline such as "(3... Nf6 4. d4 (4. e5 Nd5) exd4)", nested recursively.
+// startId is the first move of the variation; its own siblings are printed by the caller.
+export default function VariationLine({ tree, startId, currentId, jumpToNode, activeMoveRef, bookExits, judgements, times, depth = 1 }) {
+  const items = [];
+  if (tree.nodes[startId].commentBefore) {
+    items.push(<MoveComment key="before" text={tree.nodes[startId].commentBefore} />);
+  }
+  let numbered = true;
+  for (let id = startId; id !== undefined; ) {
+    const node = tree.nodes[id];
+    const isActive = node.id === currentId;
+    const leavesBook = !!bookExits?.has(node.id);
+    items.push(
+      <MoveButton
+        key={node.id}
+        node={node}
+        active={isActive}
+        leavesBook={leavesBook}
+        mark={judgements?.get(node.id)}
+        activeMoveRef={activeMoveRef}
+        onClick={() => jumpToNode(node.id)}
+        title={`Jump to ${node.san}${leavesBook ? " (leaves known theory)" : ""}`}
+        style={{ color: isActive ? "var(--cb-text)" : "inherit" }}
+      >
+        {node.color === "w" ? `${node.moveNumber}. ` : numbered ? `${node.moveNumber}... ` : ""}
+        {node.san}{formatNags(node.nags)}
+        <MoveJudgement mark={judgements?.get(node.id)} />
+        <MoveTime seconds={times?.get(node.id)} />
+      </MoveButton>
+    );
+    numbered = false;
+    if (node.comment) {
+      items.push(<MoveComment key={`c${node.id}`} text={node.comment} />);
+      numbered = true;
+    }
+    if (node.id !== startId) {
+      const alternatives = tree.nodes[node.parentId].children.slice(1);
+      for (const alt of alternatives) {
+        items.push(
+          <VariationLine
+            key={`v${alt}`}
+            tree={tree}
+            startId={alt}
+            currentId={currentId}
+            jumpToNode={jumpToNode}
+            activeMoveRef={activeMoveRef}
+            bookExits={bookExits}
+            judgements={judgements}
+            times={times}
+            depth={depth + 1}
+          />
+        );
+      }
+      if (alternatives.length) numbered = true;
+    }
+    id = node.children[0];
+  }
+
+  return (
+    <span style={{ color: depth > 1 ? "var(--cb-dim)" : "var(--cb-faint)", fontSize: depth > 1 ? "0.95em" : "0.9em" }}>
+      {"("}
+      {items.map((item, i) => (
+        <React.Fragment key={i}>
+          {i > 0 && " "}
+          {item}
+        </React.Fragment>
+      ))}
+      {")"}
+    </span>
+  );
+}
@@ -0,0 +1,30 @@
+// Links between the app's pages. Plain clicks navigate in place; modified
+// clicks (new tab, new window) fall through to the browser.
+export default function NavBar({ route, links, onNavigate }) {
+  return (
+    <nav style={{ display: "flex", justifyContent: "center", gap: 4, flexWrap: "wrap", marginBottom: 12, width: "100%" }}>
+      {links.map((link) => {
+        const active = link.active ?? route.name === link.name;
+        return (
+          <a
+            key={link.name}
+            href={link.href}
+            aria-current={active ? "page" : undefined}
+            onClick={(e) => {
+              if (e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+              e.preventDefault();
+              onNavigate(link.href);
+            }}
+            style={{
+              padding: "4px 12px", borderRadius: 6, textDecoration: "none",
+              color: active ? "var(--cb-text)" : "var(--cb-faint)", background: active ? "var(--cb-border)" : "transparent",
+              border: "1px solid", borderColor: active ? "var(--cb-border-strong)" : "transparent",
+            }}
+          >
+            {link.label}
+          </a>
+        );
+      })}
+    </nav>
+  );
+}
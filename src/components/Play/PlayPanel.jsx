@@ -0,0 +1,99 @@
+import { useState } from "react";
+import { LEVELS } from "../../hooks/usePlayComputer.js";
+import { RESULT_TEXT } from "../../lib/gameStatus.js";
+
+const box = { border: "1px solid var(--cb-border)", borderRadius: 8, background: "var(--cb-panel)", color: "var(--cb-text)", padding: 12 };
+const input = { padding: "4px 6px", borderRadius: 6, border: "1px solid var(--cb-border-strong)", background: "var(--cb-field)", color: "var(--cb-text)" };
+
+// Play a game against the engine on the main board, or practise both sides,
+// with or without a clock
+export default function PlayPanel({ play, onStart, onTakeBack }) {
+  const [opponent, setOpponent] = useState("computer");   // computer | human
+  const [color, setColor] = useState("white");   // white | black | random
+  const [level, setLevel] = useState(3);
+  const [fromPosition, setFromPosition] = useState(false);
+  const [minutes, setMinutes] = useState("");     // empty or 0: no clock
+  const [increment, setIncrement] = useState("");
+  const [delay, setDelay] = useState("");
+  const { game } = play;
+
+  function start() {
+    const side = color === "random" ? (Math.random() < 0.5 ? "white" : "black") : color;
+    const initial = Math.round(Number(minutes) * 60);
+    const timeControl = initial > 0
+      ? { initial, increment: Math.max(0, Number(increment) || 0), delay: Math.max(0, Number(delay) || 0) }
+      : null;
+    onStart({ opponent, color: side, level, fromPosition, timeControl });
+  }
+
+  if (play.playing) {
+    return (
+      <div style={box}>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8 }}>
+          <strong>{game.opponent === "computer" ? `Playing ${game.color === "white" ? "White" : "Black"} vs Stockfish` : "Practice game"}</strong>
+          {game.opponent === "computer" && <span style={{ color: "var(--cb-muted)", fontSize: 13 }}>Level {game.level}</span>}
+        </div>
+        <p style={{ margin: "8px 0", color: "var(--cb-text)" }}>
+          {play.thinking ? "The computer is thinking…" : play.myTurn ? (game.opponent === "computer" ? "Your move." : "You play both sides.") : "Go to the latest move to continue."}
+        </p>
+        {game.message && <p style={{ margin: "0 0 8px", color: "var(--cb-muted)" }}>{game.message}</p>}
+        <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+          <button onClick={onTakeBack} disabled={!play.canTakeBack} style={{ opacity: play.canTakeBack ? 1 : 0.5 }}>Take back</button>
+          <button onClick={play.offerDraw}>Offer draw</button>
+          <button onClick={() => window.confirm(game.opponent === "computer" ? "Resign this game?" : "Resign for the side to move?") && play.resign()}>Resign</button>
+        </div>
+        {play.error && <div style={{ color: "var(--cb-error)", marginTop: 6 }}>{play.error}</div>}
+      </div>
+    );
+  }
+
+  return (
+    <div style={box}>
+      <strong>Play</strong>
+      {game?.status === "over" && (
+        <p style={{ margin: "8px 0", color: "var(--cb-success)" }}>
+          {game.reason} {RESULT_TEXT[game.result]}. The game is in the move list, ready to review or export.
+        </p>
+      )}
+      <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center", marginTop: 8 }}>
+        <select style={input} value={opponent} onChange={(e) => setOpponent(e.target.value)} aria-label="Opponent">
+          <option value="computer">vs Stockfish</option>
+          <option value="human">Both sides (practice)</option>
+        </select>
+        <select style={input} value={color} onChange={(e) => setColor(e.target.value)} aria-label="Your colour">
+          <option value="white">Play White</option>
+          <option value="black">Play Black</option>
+          <option value="random">Random colour</option>
+        </select>
+        <select
+          style={{ ...input, opacity: opponent === "computer" ? 1 : 0.5 }}
+          value={level}
+          onChange={(e) => setLevel(Number(e.target.value))}
+          disabled={opponent !== "computer"}
+          aria-label="Strength"
+        >
+          {LEVELS.map((_, i) => <option key={i} value={i + 1}>Level {i + 1}</option>)}
+        </select>
+        <label style={{ display: "inline-flex", alignItems: "center", gap: 4, fontSize: 13, color: "var(--cb-muted)" }}>
+          <input type="checkbox" checked={fromPosition} onChange={(e) => setFromPosition(e.target.checked)} />
+          from the board position
+        </label>
+      </div>
+      {/* Time control; no minutes means no clock */}
+      <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center", marginTop: 8, fontSize: 13, color: "var(--cb-muted)" }}>
+        <label>
+          <input style={{ ...input, width: 48 }} type="number" min="0" step="any" value={minutes} onChange={(e) => setMinutes(e.target.value)} placeholder="–" /> min
+        </label>
+        <label>
+          + <input style={{ ...input, width: 44 }} type="number" min="0" value={increment} onChange={(e) => setIncrement(e.target.value)} placeholder="0" /> s increment
+        </label>
+        <label>
+          <input style={{ ...input, width: 44 }} type="number" min="0" value={delay} onChange={(e) => setDelay(e.target.value)} placeholder="0" /> s delay
+        </label>
+      </div>
+      <div style={{ marginTop: 8 }}>
+        <button onClick={start}>Start game</button>
+      </div>
+    </div>
+  );
+}
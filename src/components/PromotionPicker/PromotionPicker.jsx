@@ -0,0 +1,48 @@
+import { defaultPieces } from "react-chessboard";
+
+const CHOICES = [
+  { type: "q", label: "Queen" },
+  { type: "r", label: "Rook" },
+  { type: "b", label: "Bishop" },
+  { type: "n", label: "Knight" },
+];
+
+// Overlay over the board asking which piece a pawn promotes to.
+// color is "w" or "b"; onCancel leaves the position untouched. `pieces` is
+// the board's piece set.
+export default function PromotionPicker({ color, pieces = defaultPieces, onSelect, onCancel }) {
+  return (
+    <div
+      role="dialog"
+      aria-label="Choose promotion piece"
+      onClick={onCancel}
+      onKeyDown={(e) => { if (e.key === "Escape") { e.stopPropagation(); onCancel(); } }}
+      style={{
+        position: "absolute", inset: 0, zIndex: 10,
+        display: "flex", alignItems: "center", justifyContent: "center",
+        background: "rgba(0,0,0,.55)", borderRadius: 4,
+      }}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        style={{ display: "flex", gap: 8, padding: 10, background: "var(--cb-field)", border: "1px solid var(--cb-border-strong)", borderRadius: 10 }}
+      >
+        {CHOICES.map((c, i) => {
+          const Piece = pieces[`${color}${c.type.toUpperCase()}`];
+          return (
+            <button
+              key={c.type}
+              autoFocus={i === 0}
+              onClick={() => onSelect(c.type)}
+              title={c.label}
+              aria-label={c.label}
+              style={{ width: 64, height: 64, padding: 4, background: "var(--cb-border)" }}
+            >
+              <Piece />
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
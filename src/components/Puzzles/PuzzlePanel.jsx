@@ -0,0 +1,84 @@
+import { useState } from "react";
+import { parsePuzzleFile } from "../../lib/puzzles.js";
+
+const box = { border: "1px solid var(--cb-border)", borderRadius: 8, background: "var(--cb-panel)", color: "var(--cb-text)", padding: 12 };
+const input = { padding: "6px 8px", borderRadius: 6, border: "1px solid var(--cb-border-strong)", background: "var(--cb-field)", color: "var(--cb-text)" };
+
+// Tactics puzzles: import a Lichess CSV or PGN, filter, solve on the board
+export default function PuzzlePanel({ puzzles, onShare }) {
+  const [error, setError] = useState("");
+  const { run, score, filters, setFilters } = puzzles;
+
+  function importFile(file) {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      const list = parsePuzzleFile(String(reader.result || ""));
+      setError(list.length ? "" : "No puzzles found in that file.");
+      if (list.length) puzzles.load(list);
+    };
+    reader.onerror = () => setError("Failed to read file.");
+    reader.readAsText(file);
+  }
+
+  const attempted = score.solved + score.failed;
+  const solverToMove = run && run.status === "play";
+
+  return (
+    <div style={box}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
+        <strong>Puzzles</strong>
+        <span style={{ color: "var(--cb-muted)", fontSize: 13 }}>
+          Score {score.solved}/{attempted}{score.streak > 1 ? ` · streak ${score.streak}` : ""}
+        </span>
+      </div>
+
+      <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center", marginTop: 10 }}>
+        <label style={{ display: "inline-flex", alignItems: "center", cursor: "pointer" }}>
+          <input
+            type="file"
+            accept=".csv,.pgn,text/csv,text/plain"
+            style={{ display: "none" }}
+            onChange={(e) => importFile(e.target.files?.[0] || null)}
+          />
+          <span style={{ border: "1px solid var(--cb-border-strong)", padding: "6px 10px", borderRadius: 6 }}>Import puzzles (.csv / .pgn)…</span>
+        </label>
+        {puzzles.puzzles.length > 0 && (
+          <>
+            <select style={input} value={filters.theme} onChange={(e) => setFilters({ ...filters, theme: e.target.value })} aria-label="Theme">
+              <option value="">All themes</option>
+              {puzzles.themes.map((t) => <option key={t} value={t}>{t}</option>)}
+            </select>
+            <input style={{ ...input, width: 80 }} inputMode="numeric" placeholder="Min" aria-label="Minimum rating"
+              value={filters.minRating} onChange={(e) => setFilters({ ...filters, minRating: e.target.value })} />
+            <input style={{ ...input, width: 80 }} inputMode="numeric" placeholder="Max" aria-label="Maximum rating"
+              value={filters.maxRating} onChange={(e) => setFilters({ ...filters, maxRating: e.target.value })} />
+            <span style={{ color: "var(--cb-muted)", fontSize: 13 }}>{puzzles.filtered.length} of {puzzles.puzzles.length}</span>
+            <button onClick={() => setError(puzzles.next() ? "" : "No puzzles match the filters.")}>
+              {run ? "Next puzzle" : "Start"}
+            </button>
+          </>
+        )}
+      </div>
+
+      {run && (
+        <div style={{ marginTop: 10 }}>
+          <div style={{ color: "var(--cb-muted)", fontSize: 13 }}>
+            Puzzle {run.puzzle.id}{run.puzzle.rating ? ` · rated ${run.puzzle.rating}` : ""}
+            {run.status === "solved" && run.puzzle.themes.length > 0 && ` · ${run.puzzle.themes.join(", ")}`}
+          </div>
+          <p style={{ margin: "6px 0", color: run.wrong ? "var(--cb-error)" : run.status === "solved" ? "var(--cb-success)" : "var(--cb-text)" }}>
+            {run.feedback || (solverToMove ? `Find the best move for ${run.fen.split(" ")[1] === "w" ? "White" : "Black"}.` : "…")}
+          </p>
+          <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+            <button onClick={puzzles.hint} disabled={!solverToMove} style={{ opacity: solverToMove ? 1 : 0.5 }}>Hint</button>
+            <button onClick={puzzles.retry}>Retry</button>
+            <button onClick={() => onShare(run.puzzle)}>Copy puzzle link</button>
+            <button onClick={puzzles.stop}>Stop</button>
+          </div>
+        </div>
+      )}
+      {error && <div style={{ color: "var(--cb-error)", marginTop: 6 }}>{error}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,131 @@
+import { useState } from "react";
+
+const box = { border: "1px solid var(--cb-border)", borderRadius: 8, background: "var(--cb-panel)", color: "var(--cb-text)", padding: 12 };
+
+// Opening repertoire: collect lines for White or Black from the board or a PGN,
+// edit the tree on the board, and drill it. `gameTree`/`gamePath` are the game
+// on the board and the line up to the current move.
+export default function RepertoirePanel({ repertoire, gameTree, gamePath, editing, onEdit, onStopEditing }) {
+  const [message, setMessage] = useState("");
+  const [error, setError] = useState("");
+  const { color, drill } = repertoire;
+  const sideName = color === "white" ? "White" : "Black";
+
+  function report(err, ok = "") {
+    setError(err);
+    setMessage(err ? "" : ok);
+  }
+
+  function importFile(file) {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      const { games, errors } = repertoire.importPgn(String(reader.result || ""));
+      report(games ? "" : errors[0] || "No games found.", `Merged ${games} game${games === 1 ? "" : "s"} into the ${sideName} repertoire${errors.length ? `; ${errors.length} skipped` : ""}.`);
+      if (games && errors.length) setError(errors.join("; "));
+    };
+    reader.onerror = () => report("Failed to read file.");
+    reader.readAsText(file);
+  }
+
+  function download() {
+    const url = URL.createObjectURL(new Blob([repertoire.exportText()], { type: "application/x-chess-pgn" }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `repertoire-${color}.pgn`;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  async function copy() {
+    try { await navigator.clipboard.writeText(repertoire.exportText()); report("", "Copied."); }
+    catch { report("Couldn't copy to the clipboard."); }
+  }
+
+  if (drill) {
+    const { score } = drill;
+    return (
+      <div style={box}>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8 }}>
+          <strong>Repertoire drill: {drill.color === "white" ? "White" : "Black"}</strong>
+          <span style={{ color: "var(--cb-muted)", fontSize: 13 }}>
+            {score.hits} correct · {score.misses} missed · {score.lines} line{score.lines === 1 ? "" : "s"} done
+          </span>
+        </div>
+        <p style={{ margin: "8px 0", color: drill.wrong ? "var(--cb-error)" : drill.status === "end" ? "var(--cb-success)" : "var(--cb-text)" }}>
+          {drill.feedback || (drill.status === "reply" ? "Opponent replies…" : "Play your prepared move.")}
+        </p>
+        <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+          {drill.status === "play" && <button onClick={repertoire.showMove}>Show move</button>}
+          {drill.status === "end" && <button onClick={repertoire.nextLine}>Next line</button>}
+          <button onClick={repertoire.stopDrill}>Stop</button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div style={box}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
+        <strong>Opening repertoire</strong>
+        <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+          {["white", "black"].map((c) => (
+            <button
+              key={c}
+              onClick={() => { repertoire.setColor(c); report(""); }}
+              disabled={!!editing}
+              style={{ padding: "2px 10px", border: c === color ? "1px solid var(--cb-text)" : "1px solid var(--cb-border-strong)", opacity: editing && c !== color ? 0.5 : 1 }}
+            >
+              {c === "white" ? "White" : "Black"}
+            </button>
+          ))}
+          <span style={{ color: "var(--cb-muted)", fontSize: 13 }}>{repertoire.positions} moves</span>
+        </div>
+      </div>
+
+      {editing ? (
+        <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center", marginTop: 10 }}>
+          <span style={{ color: "var(--cb-muted)", flex: "1 1 200px" }}>
+            Editing the {sideName} repertoire on the board: moves, deletions and comments are saved as you go.
+          </span>
+          <button onClick={onStopEditing}>Done</button>
+        </div>
+      ) : (
+        <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center", marginTop: 10 }}>
+          <button onClick={() => report(repertoire.addLine(gameTree, gamePath), "Line added.")}>Add current line</button>
+          <button onClick={() => onEdit(color)}>Edit on board</button>
+          <label style={{ display: "inline-flex", alignItems: "center", cursor: "pointer" }}>
+            <input
+              type="file"
+              accept=".pgn,text/plain"
+              style={{ display: "none" }}
+              onChange={(e) => { importFile(e.target.files?.[0] || null); e.target.value = ""; }}
+            />
+            <span style={{ border: "1px solid var(--cb-border-strong)", padding: "6px 10px", borderRadius: 6 }}>Merge .pgn…</span>
+          </label>
+          <button onClick={download} disabled={!repertoire.positions} style={{ opacity: repertoire.positions ? 1 : 0.5 }}>Download .pgn</button>
+          <button onClick={copy} disabled={!repertoire.positions} style={{ opacity: repertoire.positions ? 1 : 0.5 }}>Copy PGN</button>
+          <button
+            onClick={() => window.confirm(`Clear the ${sideName} repertoire?`) && repertoire.clear()}
+            disabled={!repertoire.positions}
+            style={{ opacity: repertoire.positions ? 1 : 0.5 }}
+          >
+            Clear
+          </button>
+        </div>
+      )}
+
+      <div style={{ marginTop: 10 }}>
+        <button
+          onClick={() => report(repertoire.startDrill() ? "" : `The ${sideName} repertoire is empty.`)}
+          disabled={!!editing}
+          style={{ opacity: editing ? 0.5 : 1 }}
+        >
+          Drill {sideName} repertoire
+        </button>
+      </div>
+      {message && <div style={{ color: "var(--cb-muted)", marginTop: 6 }}>{message}</div>}
+      {error && <div style={{ color: "var(--cb-error)", marginTop: 6 }}>{error}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,40 @@
+import { toCp, winPercent, JUDGEMENTS } from "../../lib/review.js";
+
+const W = 600;
+const H = 90;
+
+// Evaluation over the game as White's winning chances. Click to jump to a ply.
+export default function EvalGraph({ scores, moves, currentPly, onSelect }) {
+  const n = scores.length - 1;
+  const x = (ply) => (n ? (ply / n) * W : 0);
+  const y = (score) => H - (winPercent(toCp(score)) / 100) * H;
+  const points = scores.map((s, ply) => `${x(ply).toFixed(1)},${y(s).toFixed(1)}`);
+
+  function select(e) {
+    const rect = e.currentTarget.getBoundingClientRect();
+    onSelect(Math.round(((e.clientX - rect.left) / rect.width) * n));
+  }
+
+  return (
+    <svg
+      viewBox={`0 0 ${W} ${H}`}
+      preserveAspectRatio="none"
+      onClick={select}
+      role="img"
+      aria-label="Evaluation graph"
+      style={{ width: "100%", height: H, display: "block", cursor: "pointer", background: "var(--cb-eval-black)", borderRadius: 6 }}
+    >
+      <polygon points={`0,${H} ${points.join(" ")} ${W},${H}`} fill="var(--cb-eval-white)" />
+      {/* the mid line and ply cursor are fixed marks that read on both sides */}
+      <line x1={0} x2={W} y1={H / 2} y2={H / 2} stroke="#888" strokeWidth={1} strokeDasharray="4 4" />
+      {currentPly >= 0 && currentPly <= n && (
+        <line x1={x(currentPly)} x2={x(currentPly)} y1={0} y2={H} stroke="#3b82f6" strokeWidth={2} />
+      )}
+      {moves.map((m, i) => m.judgement && (
+        <circle key={i} cx={x(i + 1)} cy={y(scores[i + 1])} r={4} fill={JUDGEMENTS[m.judgement].color} stroke="var(--cb-eval-edge)" strokeWidth={1}>
+          <title>{`${JUDGEMENTS[m.judgement].label} (−${Math.round(m.cpLoss)} cp)`}</title>
+        </circle>
+      ))}
+    </svg>
+  );
+}
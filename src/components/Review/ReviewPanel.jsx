@@ -0,0 +1,70 @@
+import EvalGraph from "./EvalGraph.jsx";
+import { JUDGEMENTS } from "../../lib/review.js";
+
+const box = { border: "1px solid var(--cb-border)", borderRadius: 8, background: "var(--cb-panel)", color: "var(--cb-text)", padding: 12 };
+
+// "Review game": engine pass over the mainline with accuracy per player and
+// an evaluation graph. `currentPly` is the displayed mainline ply, or -1.
+export default function ReviewPanel({ reviewState, whiteName, blackName, currentPly, onSelectPly }) {
+  const { review, mainline, progress, error } = reviewState;
+
+  const summary = (color, name) => {
+    const accuracy = review.accuracy[color];
+    const counts = review.counts[color];
+    return (
+      <div style={{ flex: "1 1 200px" }}>
+        <div style={{ fontWeight: 600 }}>{name || (color === "w" ? "White" : "Black")}</div>
+        <div style={{ fontSize: 22 }}>{accuracy === null ? "—" : `${accuracy.toFixed(1)}%`}</div>
+        <div style={{ fontSize: 13, color: "var(--cb-muted)" }}>
+          {Object.entries(JUDGEMENTS).map(([k, j]) => (
+            <span key={k} style={{ marginRight: 10 }}>
+              <span style={{ color: j.color, fontWeight: 700 }}>{j.glyph}</span> {counts[k] || 0} {j.label.toLowerCase()}{(counts[k] || 0) === 1 ? "" : "s"}
+            </span>
+          ))}
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div style={box}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
+        <strong>Game review</strong>
+        {progress ? (
+          <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+            <span style={{ color: "var(--cb-muted)", fontSize: 13 }}>Analysing {progress.done}/{progress.total}…</span>
+            <button onClick={reviewState.cancel}>Cancel</button>
+          </div>
+        ) : (
+          !review && (
+            <button onClick={reviewState.start} disabled={!mainline.length} style={{ opacity: mainline.length ? 1 : 0.5 }}>
+              Review game
+            </button>
+          )
+        )}
+      </div>
+      {progress && (
+        <div style={{ marginTop: 8, height: 6, background: "var(--cb-field)", borderRadius: 3, overflow: "hidden" }}>
+          <div style={{ width: `${(progress.done / progress.total) * 100}%`, height: "100%", background: "#3b82f6" }} />
+        </div>
+      )}
+      {!review && !progress && (
+        <div style={{ color: "var(--cb-dim)", fontSize: 13, marginTop: 6 }}>
+          {mainline.length
+            ? "Runs every move of the mainline through the engine and marks inaccuracies, mistakes and blunders."
+            : "Load or play a game to review it."}
+        </div>
+      )}
+      {error && <div style={{ color: "var(--cb-error)", marginTop: 6 }}>{error}</div>}
+      {review && (
+        <>
+          <div style={{ display: "flex", gap: 12, flexWrap: "wrap", margin: "10px 0" }}>
+            {summary("w", whiteName)}
+            {summary("b", blackName)}
+          </div>
+          <EvalGraph scores={review.scores} moves={review.moves} currentPly={currentPly} onSelect={onSelectPly} />
+        </>
+      )}
+    </div>
+  );
+}
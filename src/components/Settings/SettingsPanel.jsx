@@ -0,0 +1,82 @@
+import { BOARD_THEMES, ANIMATION_SPEEDS } from "../../lib/settings.js";
+import { PIECE_SETS } from "../../lib/pieceSets.js";
+
+const box = { border: "1px solid var(--cb-border)", borderRadius: 8, background: "var(--cb-panel)", color: "var(--cb-text)", padding: 12 };
+const input = { padding: "4px 6px", borderRadius: 6, border: "1px solid var(--cb-border-strong)", background: "var(--cb-field)", color: "var(--cb-text)" };
+const row = { display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center", marginTop: 8 };
+const check = { display: "inline-flex", alignItems: "center", gap: 4, fontSize: 13 };
+
+// Board look and app theme; changes apply at once and are remembered
+export default function SettingsPanel({ settingsState, onClose }) {
+  const { settings, update, reset } = settingsState;
+  return (
+    <div style={box}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8 }}>
+        <strong>Settings</strong>
+        <span style={{ display: "flex", gap: 6 }}>
+          <button onClick={reset} style={{ padding: "2px 8px", fontSize: 12 }}>Defaults</button>
+          <button onClick={onClose} style={{ padding: "2px 8px", fontSize: 12 }} aria-label="Close settings">Close</button>
+        </span>
+      </div>
+
+      {/* Board colours: a swatch per theme */}
+      <div style={row} role="radiogroup" aria-label="Board theme">
+        {Object.entries(BOARD_THEMES).map(([key, theme]) => (
+          <button
+            key={key}
+            role="radio"
+            aria-checked={settings.boardTheme === key}
+            onClick={() => update({ boardTheme: key })}
+            title={theme.label}
+            style={{
+              display: "inline-flex", alignItems: "center", gap: 6, padding: "4px 8px", fontSize: 12,
+              border: settings.boardTheme === key ? "2px solid #3b82f6" : "1px solid var(--cb-border-strong)",
+            }}
+          >
+            <span style={{ display: "inline-grid", gridTemplateColumns: "9px 9px" }} aria-hidden="true">
+              {[theme.light, theme.dark, theme.dark, theme.light].map((c, i) => <span key={i} style={{ width: 9, height: 9, background: c }} />)}
+            </span>
+            {theme.label}
+          </button>
+        ))}
+      </div>
+
+      <div style={row}>
+        <label style={check}>
+          Pieces
+          <select style={input} value={settings.pieceSet} onChange={(e) => update({ pieceSet: e.target.value })}>
+            {Object.entries(PIECE_SETS).map(([key, set]) => <option key={key} value={key}>{set.label}</option>)}
+          </select>
+        </label>
+        <label style={check}>
+          Animation
+          <select style={input} value={settings.animationMs} onChange={(e) => update({ animationMs: Number(e.target.value) })}>
+            {ANIMATION_SPEEDS.map((a) => <option key={a.ms} value={a.ms}>{a.label}</option>)}
+          </select>
+        </label>
+        <label style={check}>
+          App theme
+          <select style={input} value={settings.appTheme} onChange={(e) => update({ appTheme: e.target.value })}>
+            <option value="dark">Dark</option>
+            <option value="light">Light</option>
+          </select>
+        </label>
+      </div>
+
+      <div style={row}>
+        <label style={check}>
+          <input type="checkbox" checked={settings.showCoordinates} onChange={(e) => update({ showCoordinates: e.target.checked })} />
+          Coordinates
+        </label>
+        <label style={check}>
+          <input type="checkbox" checked={settings.showLegalMoves} onChange={(e) => update({ showLegalMoves: e.target.checked })} />
+          Legal-move dots
+        </label>
+        <label style={check}>
+          <input type="checkbox" checked={settings.showLastMove} onChange={(e) => update({ showLastMove: e.target.checked })} />
+          Last-move highlight
+        </label>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,121 @@
+import { useState } from "react";
+import { dayKey, DAY } from "../../lib/srs.js";
+
+const box = { border: "1px solid var(--cb-border)", borderRadius: 8, background: "var(--cb-panel)", color: "var(--cb-text)", padding: 12 };
+const input = { padding: "6px 8px", borderRadius: 6, border: "1px solid var(--cb-border-strong)", background: "var(--cb-field)", color: "var(--cb-text)" };
+
+// Pattern trainer: save the board position with its continuation into a deck,
+// then review due cards. `continuation` is the SAN line ahead of the current move.
+export default function TrainerPanel({ trainer, fen, continuation }) {
+  const [name, setName] = useState("");
+  const [deckName, setDeckName] = useState("");
+  const [plies, setPlies] = useState(1);
+  const [message, setMessage] = useState("");
+
+  const { decks, cards, log, streak, session, card } = trainer;
+  const today = dayKey();
+  const streakCount = streak && (streak.lastDay === today || streak.lastDay === dayKey(Date.now() - DAY)) ? streak.count : 0;
+  const reviewedToday = log.filter((r) => dayKey(r.at) === today).length;
+  const plyOptions = [];
+  for (let n = 1; n <= continuation.length; n += 2) plyOptions.push(n);
+  const savePlies = Math.min(plies, plyOptions[plyOptions.length - 1] || 1);
+
+  function save() {
+    trainer.addCard({ deckName, name: name || `Pattern ${cards.length + 1}`, fen, moves: continuation.slice(0, savePlies) });
+    setName("");
+    setMessage(`Saved to “${deckName.trim() || "Patterns"}”.`);
+  }
+
+  function review(deckId) {
+    setMessage(trainer.startReview(deckId) ? "" : "Nothing due right now.");
+  }
+
+  if (session) {
+    const total = session.queue.length;
+    const finished = ["solved", "failed"].includes(session.status);
+    return (
+      <div style={box}>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8 }}>
+          <strong>Training{card?.name ? `: ${card.name}` : ""}</strong>
+          <span style={{ color: "var(--cb-muted)" }}>
+            {session.status === "done" ? `${total} reviewed` : `Card ${session.index + 1} of ${total}`}
+          </span>
+        </div>
+        {session.status === "done" ? (
+          <p style={{ margin: "8px 0" }}>
+            Session complete: {session.stats.solved} solved, {session.stats.failed} to relearn.
+          </p>
+        ) : (
+          <p style={{ margin: "8px 0", color: session.status === "failed" ? "var(--cb-error)" : session.status === "solved" ? "var(--cb-success)" : "var(--cb-text)" }}>
+            {session.feedback || (session.status === "reply" ? "Opponent replies…" : `Find the best move for ${session.fen.split(" ")[1] === "w" ? "White" : "Black"}.`)}
+          </p>
+        )}
+        <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+          {!finished && session.status !== "done" && <button onClick={trainer.revealAnswer}>Show answer</button>}
+          {finished && <button onClick={trainer.nextCard}>Next card</button>}
+          <button onClick={trainer.stopReview}>{session.status === "done" ? "Close" : "Stop"}</button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div style={box}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
+        <strong>Pattern trainer</strong>
+        <span style={{ color: "var(--cb-muted)", fontSize: 13 }}>
+          {trainer.dueCount()} due · {reviewedToday} reviewed today · {streakCount}-day streak
+        </span>
+      </div>
+
+      {/* Save the current position */}
+      <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center", marginTop: 10 }}>
+        <input style={{ ...input, flex: "1 1 140px" }} value={name} onChange={(e) => setName(e.target.value)} placeholder="Card name" aria-label="Card name" />
+        <input style={{ ...input, flex: "1 1 120px" }} value={deckName} onChange={(e) => setDeckName(e.target.value)} placeholder="Deck (Patterns)" aria-label="Deck" list="trainer-decks" />
+        <datalist id="trainer-decks">
+          {decks.map((d) => <option key={d.id} value={d.name} />)}
+        </datalist>
+        <select style={input} value={savePlies} onChange={(e) => setPlies(Number(e.target.value))} aria-label="Moves to remember" disabled={!plyOptions.length}>
+          {plyOptions.map((n) => (
+            <option key={n} value={n}>{continuation.slice(0, n).join(" ")}</option>
+          ))}
+        </select>
+        <button onClick={save} disabled={!plyOptions.length} style={{ opacity: plyOptions.length ? 1 : 0.5 }}>Save position</button>
+      </div>
+      {!plyOptions.length && (
+        <div style={{ color: "var(--cb-dim)", fontSize: 13, marginTop: 6 }}>
+          Step back to a position whose correct continuation follows in the move list, then save it.
+        </div>
+      )}
+
+      {/* Decks */}
+      {decks.length > 0 && (
+        <div style={{ marginTop: 12, display: "flex", flexDirection: "column", gap: 6 }}>
+          {decks.map((d) => {
+            const count = cards.filter((c) => c.deckId === d.id).length;
+            const due = trainer.dueCount(d.id);
+            return (
+              <div key={d.id} style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                <span style={{ flex: "1 1 auto" }}>{d.name}</span>
+                <span style={{ color: "var(--cb-muted)", fontSize: 13 }}>{count} cards · {due} due</span>
+                <button onClick={() => review(d.id)} disabled={!due} style={{ opacity: due ? 1 : 0.5, padding: "2px 8px" }}>Review</button>
+                <button
+                  onClick={() => window.confirm(`Delete deck “${d.name}” and its ${count} cards?`) && trainer.deleteDeck(d.id)}
+                  style={{ padding: "2px 8px" }}
+                >
+                  Delete
+                </button>
+              </div>
+            );
+          })}
+          <div>
+            <button onClick={() => review(null)} disabled={!trainer.dueCount()} style={{ opacity: trainer.dueCount() ? 1 : 0.5 }}>
+              Review all due
+            </button>
+          </div>
+        </div>
+      )}
+      {message && <div style={{ color: "var(--cb-muted)", marginTop: 6 }}>{message}</div>}
+    </div>
+  );
+}
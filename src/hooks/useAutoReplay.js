@@ -0,0 +1,68 @@
+import { useEffect, useRef, useState } from "react";
+import { loadJson, saveJson } from "../lib/storage.js";
+
+const STORAGE_KEY = "chessburn:replay";
+export const REPLAY_SPEEDS = [500, 1000, 2000, 3000, 5000];   // ms per move
+const LINGER = 3;   // annotated or critical moves stay on the board this many times longer
+
+// Hands-free replay of the displayed line: onStep(ply) moves the board on
+// every `interval` ms until the end. Any click, tap, scroll or key press
+// (other than the space bar, which the app uses to toggle) pauses it;
+// controls marked data-replay-control are exempt so they can adjust it.
+// linger(ply) tells whether the move just shown deserves a longer look;
+// `enabled` false (another mode has the board) stops the replay.
+export function useAutoReplay({ ply, length, onStep, linger, enabled = true }) {
+  const [settings, setSettings] = useState(() => ({ interval: 1000, lingerOnNotes: true, ...loadJson(STORAGE_KEY, {}) }));
+  const [playing, setPlaying] = useState(false);
+
+  useEffect(() => {
+    saveJson(STORAGE_KEY, settings);
+  }, [settings]);
+
+  const callbacks = useRef({ onStep, linger });
+  useEffect(() => {
+    callbacks.current = { onStep, linger };
+  });
+
+  // One step per displayed move; stop at the end of the line
+  const { interval, lingerOnNotes } = settings;
+  useEffect(() => {
+    if (!playing) return;
+    if (ply >= length || !enabled) { setPlaying(false); return; }
+    const slow = lingerOnNotes && ply > 0 && callbacks.current.linger(ply);
+    const timer = setTimeout(() => callbacks.current.onStep(ply + 1), slow ? interval * LINGER : interval);
+    return () => clearTimeout(timer);
+  }, [playing, ply, length, interval, lingerOnNotes, enabled]);
+
+  // Pause on user interaction
+  useEffect(() => {
+    if (!playing) return;
+    const pause = (e) => {
+      if (e.type === "keydown" && e.key === " ") return;
+      if (e.target?.closest?.("[data-replay-control]")) return;
+      setPlaying(false);
+    };
+    const events = ["pointerdown", "keydown", "wheel", "touchstart"];
+    for (const type of events) window.addEventListener(type, pause, true);
+    return () => {
+      for (const type of events) window.removeEventListener(type, pause, true);
+    };
+  }, [playing]);
+
+  // Starting at the end of the line replays it from the beginning
+  function play() {
+    if (ply >= length) callbacks.current.onStep(0);
+    setPlaying(true);
+  }
+
+  return {
+    playing,
+    interval,
+    lingerOnNotes,
+    play,
+    pause: () => setPlaying(false),
+    toggle: () => (playing ? setPlaying(false) : play()),
+    setInterval: (ms) => setSettings((s) => ({ ...s, interval: ms })),
+    setLingerOnNotes: (on) => setSettings((s) => ({ ...s, lingerOnNotes: on })),
+  };
+}
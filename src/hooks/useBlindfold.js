@@ -0,0 +1,74 @@
+import { useEffect, useState } from "react";
+import { loadJson, saveJson } from "../lib/storage.js";
+import { makeQuestion, checkAnswer } from "../lib/visualization.js";
+
+const STORAGE_KEY = "chessburn:blindfold";
+const PEEK_MS = 1500;    // how long a peek shows the pieces
+const PEEK_COST = 3;     // points a peek costs
+const MOVE_POINTS = 1;   // a move played without seeing the pieces
+const ANSWER_POINTS = 2; // a right answer in the drill
+
+const EMPTY = { mode: "off", recentPlies: 4, best: 0 };
+
+// Visualization training on the game board: hide some or all pieces, play
+// moves by typing SAN, peek at a cost, and answer questions about the
+// position. The score runs for the session; the best score is kept.
+export function useBlindfold() {
+  const [prefs, setPrefs] = useState(() => ({ ...EMPTY, ...loadJson(STORAGE_KEY, EMPTY) }));
+  const [peeking, setPeeking] = useState(false);
+  const [score, setScore] = useState({ points: 0, moves: 0, peeks: 0, right: 0, asked: 0 });
+  const [question, setQuestion] = useState(null);   // { …makeQuestion(), result: { correct, expected } | null }
+
+  useEffect(() => {
+    saveJson(STORAGE_KEY, prefs);
+  }, [prefs]);
+
+  // A peek ends by itself
+  useEffect(() => {
+    if (!peeking) return;
+    const timer = setTimeout(() => setPeeking(false), PEEK_MS);
+    return () => clearTimeout(timer);
+  }, [peeking]);
+
+  // Best score so far
+  useEffect(() => {
+    setPrefs((p) => (score.points > p.best ? { ...p, best: score.points } : p));
+  }, [score.points]);
+
+  function addPoints(delta, counts) {
+    setScore((s) => ({ ...s, ...counts(s), points: s.points + delta }));
+  }
+
+  const hidden = prefs.mode !== "off" && !peeking;
+
+  return {
+    mode: prefs.mode,
+    recentPlies: prefs.recentPlies,
+    best: prefs.best,
+    hidden,
+    peeking,
+    score,
+    question,
+    peekCost: PEEK_COST,
+    setMode: (mode) => setPrefs((p) => ({ ...p, mode })),
+    setRecentPlies: (n) => setPrefs((p) => ({ ...p, recentPlies: n })),
+    peek: () => {
+      if (!hidden) return;
+      setPeeking(true);
+      addPoints(-PEEK_COST, (s) => ({ peeks: s.peeks + 1 }));
+    },
+    // A move was played on the board; it scores while pieces are hidden
+    moved: () => { if (hidden) addPoints(MOVE_POINTS, (s) => ({ moves: s.moves + 1 })); },
+    ask: (fen) => setQuestion({ ...makeQuestion(fen), result: null }),
+    answer: (text) => {
+      if (!question || question.result) return;
+      const result = checkAnswer(question, text);
+      setQuestion({ ...question, result });
+      addPoints(result.correct ? ANSWER_POINTS : 0, (s) => ({ right: s.right + (result.correct ? 1 : 0), asked: s.asked + 1 }));
+    },
+    resetScore: () => {
+      setScore({ points: 0, moves: 0, peeks: 0, right: 0, asked: 0 });
+      setQuestion(null);
+    },
+  };
+}
@@ -0,0 +1,70 @@
+import { useEffect, useRef, useState } from "react";
+
+// Time left for `color` at time `at` (ms). The running side's clock is counted
+// from the start of its turn; the first `delay` seconds of a turn are free.
+function timeLeft(clock, color, at) {
+  const base = clock.remaining[color];
+  if (clock.turn !== color) return base;
+  return base - Math.max(0, (at - clock.since) / 1000 - clock.delay);
+}
+
+// Two-sided chess clock with increment and (simple) delay. press(color)
+// ends that side's turn and returns its remaining time; onFlag(color) fires
+// when a side runs out. The hook itself doesn't tick: it only changes on a
+// press, a flag or a reset, and PlayerClock counts down the running side
+// from `remaining` and `since`.
+export function useChessClock({ onFlag } = {}) {
+  // { initial, increment, delay, remaining: { w, b }, turn: "w" | "b" | null, since, flagged }
+  const [clock, setClock] = useState(null);
+
+  const onFlagRef = useRef(onFlag);
+  useEffect(() => {
+    onFlagRef.current = onFlag;
+  });
+
+  // Flag fall, timed for the moment the running side's time is used up
+  useEffect(() => {
+    if (!clock?.turn) return;
+    const loser = clock.turn;
+    const ms = (clock.remaining[loser] + clock.delay) * 1000 - (Date.now() - clock.since);
+    const timer = setTimeout(() => {
+      setClock((c) => ({ ...c, remaining: { ...c.remaining, [loser]: 0 }, turn: null, flagged: loser }));
+      onFlagRef.current?.(loser);
+    }, Math.max(0, ms));
+    return () => clearTimeout(timer);
+  }, [clock]);
+
+  // { initial, increment, delay } in seconds; `turn` starts running
+  function start({ initial, increment = 0, delay = 0 }, turn) {
+    setClock({ initial, increment, delay, remaining: { w: initial, b: initial }, turn, since: Date.now(), flagged: null });
+  }
+
+  function press(color) {
+    if (!clock?.turn) return null;
+    const at = Date.now();
+    const left = timeLeft(clock, color, at) + clock.increment;
+    setClock({ ...clock, remaining: { ...clock.remaining, [color]: left }, turn: color === "w" ? "b" : "w", since: at });
+    return left;
+  }
+
+  // Put both clocks back (after a takeback) with `turn` to move
+  function set(remaining, turn) {
+    setClock((c) => c && { ...c, remaining, turn: c.turn ? turn : null, since: Date.now() });
+  }
+
+  return {
+    active: !!clock,
+    running: !!clock?.turn,
+    turn: clock?.turn ?? null,
+    flagged: clock?.flagged ?? null,
+    // each side's time at the start of the running turn (see PlayerClock)
+    remaining: clock?.remaining ?? null,
+    since: clock?.since ?? null,
+    delay: clock?.delay ?? 0,
+    start,
+    press,
+    set,
+    stop: () => setClock((c) => c && { ...c, remaining: { w: timeLeft(c, "w", Date.now()), b: timeLeft(c, "b", Date.now()) }, turn: null }),
+    clear: () => setClock(null),
+  };
+}
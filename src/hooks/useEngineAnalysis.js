@@ -0,0 +1,59 @@
+import { useEffect, useRef, useState } from "react";
+import { Chess } from "chess.js";
+import { createEngine } from "../lib/engine.js";
+import { fromUci } from "../lib/puzzles.js";
+
+const ANALYSIS_DEPTH = 22;  // the search stops here; navigating restarts it
+const PV_SHOWN = 10;        // moves of each line turned into SAN
+
+// SAN for the first moves of a principal variation
+function pvToSan(fen, pv) {
+  const chess = new Chess(fen);
+  const san = [];
+  for (const uci of pv.slice(0, PV_SHOWN)) {
+    try { san.push(chess.move(fromUci(uci)).san); }
+    catch { break; }
+  }
+  return san;
+}
+
+// Live engine analysis of `fen` with the top `multiPv` lines. The engine
+// worker starts on first use and the search restarts whenever fen changes.
+// lines: [{ multipv, depth, score, pv (UCI), san }], best line first.
+export function useEngineAnalysis(fen, { enabled, multiPv = 3 }) {
+  const engineRef = useRef(null);
+  const [lines, setLines] = useState([]);
+  const [thinking, setThinking] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => () => engineRef.current?.quit(), []);
+
+  useEffect(() => {
+    if (!enabled) {
+      engineRef.current?.stop();
+      setLines([]);
+      setThinking(false);
+      return;
+    }
+    engineRef.current ??= createEngine({ onError: setError });
+    const game = new Chess(fen);
+    setLines([]);
+    if (game.isGameOver()) { setThinking(false); return; }
+
+    setThinking(true);
+    let current = true;
+    engineRef.current
+      .search({ fen, multiPv, depth: ANALYSIS_DEPTH }, (info) => {
+        setLines((prev) => {
+          const next = prev.filter((l) => l.multipv !== info.multipv);
+          next.push({ ...info, san: pvToSan(fen, info.pv) });
+          return next.sort((a, b) => a.multipv - b.multipv);
+        });
+      })
+      .catch((e) => setError(e.message))   // the engine died
+      .then(() => { if (current) setThinking(false); });
+    return () => { current = false; };
+  }, [fen, enabled, multiPv]);
+
+  return { lines, depth: lines[0]?.depth || 0, thinking, error };
+}
@@ -0,0 +1,107 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import { Chess } from "chess.js";
+import { ROOT_ID, lineThrough } from "../lib/moveTree.js";
+import { createEngine } from "../lib/engine.js";
+import { loadJson, saveJson } from "../lib/storage.js";
+import { reviewKey, summarizeReview } from "../lib/review.js";
+
+const STORAGE_KEY = "chessburn:reviews";
+const CACHE_LIMIT = 40;     // reviewed games kept, newest first
+const REVIEW_DEPTH = 14;    // search depth per position
+
+// Evaluation of a finished position without asking the engine
+function finalScore(fen) {
+  const chess = new Chess(fen);
+  if (chess.isCheckmate()) return { cp: chess.turn() === "w" ? -10000 : 10000 };
+  if (chess.isGameOver()) return { cp: 0 };
+  return null;
+}
+
+// Engine review of the game's mainline, run in the background in its own
+// engine worker. Results are cached per game (base position + mainline) in
+// localStorage, so re-opening a reviewed game shows its review at once.
+export function useGameReview(tree) {
+  const mainline = useMemo(() => lineThrough(tree, ROOT_ID), [tree]);
+  const key = useMemo(
+    () => reviewKey(tree.nodes[ROOT_ID].fen, mainline.map((id) => tree.nodes[id].san)),
+    [tree, mainline]
+  );
+  const [cache, setCache] = useState(() => loadJson(STORAGE_KEY, {}));
+  const [progress, setProgress] = useState(null);   // { done, total } while running
+  const [error, setError] = useState("");
+  const engineRef = useRef(null);
+  const runRef = useRef(null);                       // token of the running review
+
+  useEffect(() => {
+    saveJson(STORAGE_KEY, cache);
+  }, [cache]);
+
+  useEffect(() => () => engineRef.current?.quit(), []);
+
+  // A different game (or a changed mainline) cancels a running review
+  useEffect(() => () => {
+    runRef.current = null;
+    engineRef.current?.stop();
+    setProgress(null);
+  }, [key]);
+
+  async function start() {
+    if (runRef.current || !mainline.length) return;
+    const token = {};
+    runRef.current = token;
+    engineRef.current ??= createEngine({ onError: setError });
+    setError("");
+
+    const fens = [tree.nodes[ROOT_ID].fen, ...mainline.map((id) => tree.nodes[id].fen)];
+    const scores = [];
+    setProgress({ done: 0, total: fens.length });
+    for (const fen of fens) {
+      let score = finalScore(fen);
+      if (!score) {
+        let last = null;
+        let result = null;
+        try {
+          result = await engineRef.current.search({ fen, depth: REVIEW_DEPTH }, (info) => { last = info.score; });
+        } catch (e) {
+          // the engine died: stop here and show why
+          if (runRef.current === token) {
+            runRef.current = null;
+            setProgress(null);
+            setError(e.message);
+          }
+          return;
+        }
+        if (!result || runRef.current !== token) return;
+        score = last || { cp: 0 };
+      }
+      scores.push(score);
+      setProgress({ done: scores.length, total: fens.length });
+    }
+
+    const summary = summarizeReview(scores, mainline.map((id) => tree.nodes[id].color));
+    setCache((c) => {
+      const entries = Object.entries({ ...c, [key]: { at: Date.now(), scores, ...summary } })
+        .sort((a, b) => b[1].at - a[1].at)
+        .slice(0, CACHE_LIMIT);
+      return Object.fromEntries(entries);
+    });
+    runRef.current = null;
+    setProgress(null);
+  }
+
+  function cancel() {
+    runRef.current = null;
+    engineRef.current?.stop();
+    setProgress(null);
+  }
+
+  const review = cache[key] || null;
+  // node id -> { cpLoss, accuracy, judgement } for the move list
+  const judgements = useMemo(() => {
+    const map = new Map();
+    if (review) mainline.forEach((id, i) => { if (review.moves[i]) map.set(id, review.moves[i]); });
+    return map;
+  }, [review, mainline]);
+
+  return { review, mainline, judgements, progress, error, start, cancel };
+}
@@ -0,0 +1,142 @@
+import { useMemo, useReducer } from "react";
+import { Chess } from "chess.js";
+import { ROOT_ID, createTree, getNode, addMove, updateNode, lineThrough } from "../lib/moveTree.js";
+
+const HISTORY_LIMIT = 200; // undo steps kept
+
+// The one place the game lives: base position, move tree and the node shown.
+// Board, move list, FEN box and share link all read from this state, and
+// loading, moving, navigation and undo/redo all go through gameReducer.
+function initState(baseFen) {
+  return { baseFen, tree: createTree(baseFen), currentId: ROOT_ID, past: [], future: [] };
+}
+
+function snapshot(state) {
+  return { tree: state.tree, currentId: state.currentId };
+}
+
+// Apply a tree change and remember the previous tree for undo
+function withHistory(state, tree, currentId) {
+  return {
+    ...state,
+    tree,
+    currentId: tree.nodes[currentId] ? currentId : ROOT_ID,
+    past: [...state.past.slice(1 - HISTORY_LIMIT), snapshot(state)],
+    future: [],
+  };
+}
+
+export function gameReducer(state, action) {
+  switch (action.type) {
+    // New base position (reset, FEN, PGN, URL); optionally with a parsed tree
+    case "load": {
+      const next = initState(action.fen);
+      return action.tree ? { ...next, tree: action.tree } : next;
+    }
+    // action.move is a verbose chess.js move played from the current node;
+    // action.annotate (e.g. { clock }) is stored on the move's node
+    case "move": {
+      const { tree: added, id } = addMove(state.tree, state.currentId, action.move);
+      const tree = action.annotate ? updateNode(added, id, action.annotate) : added;
+      if (tree === state.tree) return { ...state, currentId: id }; // existing continuation
+      return withHistory(state, tree, id);
+    }
+    case "goto":
+      return state.tree.nodes[action.id] ? { ...state, currentId: action.id } : state;
+    // Tree edits (promote, delete, comments). record: false skips undo history.
+    case "edit": {
+      const currentId = action.currentId ?? state.currentId;
+      if (action.record === false) {
+        return { ...state, tree: action.tree, currentId: action.tree.nodes[currentId] ? currentId : ROOT_ID };
+      }
+      return withHistory(state, action.tree, currentId);
+    }
+    case "undo": {
+      if (!state.past.length) return state;
+      return {
+        ...state,
+        ...state.past[state.past.length - 1],
+        past: state.past.slice(0, -1),
+        future: [snapshot(state), ...state.future],
+      };
+    }
+    case "redo": {
+      if (!state.future.length) return state;
+      return {
+        ...state,
+        ...state.future[0],
+        past: [...state.past, snapshot(state)],
+        future: state.future.slice(1),
+      };
+    }
+    default:
+      return state;
+  }
+}
+
+export function useGameState(initialFen) {
+  const [state, dispatch] = useReducer(gameReducer, initialFen, initState);
+  const { baseFen, tree, currentId } = state;
+  const currentNode = getNode(tree, currentId);
+  const fen = currentNode.fen;
+
+  // Read-only chess.js view of the displayed position; never mutate it
+  const game = useMemo(() => new Chess(fen), [fen]);
+  const line = useMemo(() => lineThrough(tree, currentId), [tree, currentId]);
+  const lastMove = useMemo(
+    () => (currentNode.san ? { from: currentNode.from, to: currentNode.to } : null),
+    [currentNode]
+  );
+
+  // Validate and play a move ({ from, to, promotion } or SAN) from the displayed
+  // position. A move that differs from the existing continuation starts a
+  // sideline. `annotate` adds fields to the move's node (e.g. its clock).
+  // Returns the chess.js move, or null when illegal.
+  function playMove(move, annotate) {
+    let moved = null;
+    try { moved = new Chess(fen).move(move); }
+    catch { moved = null; }
+    if (moved) dispatch({ type: "move", move: moved, annotate });
+    return moved;
+  }
+
+  // Play several moves in a row from the displayed position (e.g. an engine
+  // line). Stops at the first illegal one; returns how many were played.
+  function playLine(moves) {
+    const chess = new Chess(fen);
+    let played = 0;
+    for (const move of moves) {
+      let moved = null;
+      try { moved = chess.move(move); }
+      catch { moved = null; }
+      if (!moved) break;
+      dispatch({ type: "move", move: moved });
+      played++;
+    }
+    return played;
+  }
+
+  return {
+    baseFen,
+    tree,
+    currentId,
+    currentNode,
+    currentPly: currentNode.ply,
+    line,             // node ids of the line through the current move (index = ply - 1)
+    lineLength: line.length,
+    fen,
+    game,
+    lastMove,
+    canUndo: state.past.length > 0,
+    canRedo: state.future.length > 0,
+    load: (fen, parsedTree) => dispatch({ type: "load", fen, tree: parsedTree }),
+    playMove,
+    playLine,
+    jumpToNode: (id) => dispatch({ type: "goto", id }),
+    // Step along the line through the current move (ply 0 = base position)
+    jumpToPly: (ply) => dispatch({ type: "goto", id: ply > 0 ? line[Math.min(ply, line.length) - 1] : ROOT_ID }),
+    editTree: (nextTree, opts = {}) => dispatch({ type: "edit", tree: nextTree, ...opts }),
+    undo: () => dispatch({ type: "undo" }),
+    redo: () => dispatch({ type: "redo" }),
+  };
+}
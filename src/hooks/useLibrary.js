@@ -0,0 +1,109 @@
+import { useEffect, useMemo, useState } from "react";
+import {
+  listGames, getGame, putGames, deleteGame, newGameId, gameName,
+  libraryToJson, libraryToPgn, parseBackup, sameGame,
+} from "../lib/library.js";
+
+const byName = (a, b) => a.localeCompare(b);
+
+// The saved-games library: an in-memory copy of the IndexedDB store that
+// every change writes through to. Failures end up in `error`.
+export function useLibrary() {
+  const [games, setGames] = useState([]);
+  const [ready, setReady] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    listGames()
+      .then((list) => setGames(list))
+      .catch((e) => setError(e?.message || "Couldn't open the game library."))
+      .finally(() => setReady(true));
+  }, []);
+
+  const folders = useMemo(() => [...new Set(games.map((g) => g.folder).filter(Boolean))].sort(byName), [games]);
+  const tags = useMemo(() => [...new Set(games.flatMap((g) => g.tags))].sort(byName), [games]);
+
+  async function write(records) {
+    try {
+      await putGames(records);
+    } catch (e) {
+      setError(e?.message || "Couldn't save to the library.");
+      return false;
+    }
+    setError("");
+    const ids = new Set(records.map((r) => r.id));
+    setGames((list) => [...list.filter((g) => !ids.has(g.id)), ...records]);
+    return true;
+  }
+
+  // A saved game by id, even before the list has loaded
+  async function get(id) {
+    try { return games.find((g) => g.id === id) || (await getGame(id)) || null; }
+    catch { return null; }
+  }
+
+  // New game from { pgn, headers, name?, folder?, tags? }; resolves to the record (or null)
+  async function add({ pgn, headers, name, folder = "", tags = [] }) {
+    const now = Date.now();
+    const record = { id: newGameId(), name: name?.trim() || gameName(headers), folder, tags, headers, pgn, createdAt: now, updatedAt: now };
+    return (await write([record])) ? record : null;
+  }
+
+  // Change fields of a saved game (name, folder, tags, or pgn + headers)
+  async function update(id, patch) {
+    const record = games.find((g) => g.id === id);
+    if (!record) return null;
+    const next = { ...record, ...patch, updatedAt: Date.now() };
+    return (await write([next])) ? next : null;
+  }
+
+  async function remove(id) {
+    try {
+      await deleteGame(id);
+    } catch (e) {
+      setError(e?.message || "Couldn't delete the game.");
+      return;
+    }
+    setGames((list) => list.filter((g) => g.id !== id));
+  }
+
+  // Restore a JSON or PGN backup. A game whose id belongs to a different
+  // stored game comes in as a copy with a new id; one that is already stored
+  // as it is gets skipped. Resolves to { added, copies, skipped }.
+  async function importBackup(text) {
+    const none = { added: 0, copies: 0, skipped: 0 };
+    let records;
+    const fresh = [];
+    let copies = 0;
+    let skipped = 0;
+    try {
+      records = parseBackup(text);
+      for (const record of records) {
+        const stored = await getGame(record.id);
+        if (!stored) fresh.push(record);
+        else if (sameGame(stored, record)) skipped++;
+        else { fresh.push({ ...record, id: newGameId() }); copies++; }
+      }
+    } catch (e) {
+      setError(e?.message || "Couldn't read the backup.");
+      return none;
+    }
+    if (!fresh.length) return { ...none, skipped };
+    return (await write(fresh)) ? { added: fresh.length, copies, skipped } : none;
+  }
+
+  return {
+    games,
+    ready,
+    error,
+    folders,
+    tags,
+    get,
+    add,
+    update,
+    remove,
+    importBackup,
+    exportJson: () => libraryToJson(games),
+    exportPgn: () => libraryToPgn(games),
+  };
+}
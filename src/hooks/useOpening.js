@@ -0,0 +1,22 @@
+import { useEffect, useMemo, useState } from "react";
+import { loadEcoBook, classifyLine, bookExits } from "../lib/eco.js";
+
+const NO_EXITS = new Set();
+
+// Opening name/ECO code for the displayed position and the moves that leave
+// theory. Both stay empty until the ECO dataset has loaded.
+export function useOpening(tree, line, ply) {
+  const [book, setBook] = useState(null);
+
+  useEffect(() => {
+    let alive = true;
+    loadEcoBook()
+      .then((b) => { if (alive) setBook(b); })
+      .catch(() => { if (alive) setBook(new Map()); }); // no classification without the data
+    return () => { alive = false; };
+  }, []);
+
+  const opening = useMemo(() => (book ? classifyLine(book, tree, line, ply) : null), [book, tree, line, ply]);
+  const exits = useMemo(() => (book ? bookExits(book, tree) : NO_EXITS), [book, tree]);
+  return { opening, exits };
+}
@@ -0,0 +1,157 @@
+import { useEffect, useRef, useState } from "react";
+import { Chess } from "chess.js";
+import { createEngine } from "../lib/engine.js";
+import { fromUci } from "../lib/puzzles.js";
+
+// Strength levels: Stockfish's skill level plus a shallow search (or a short
+// think at the top level)
+export const LEVELS = [
+  { skill: 0, depth: 1 },
+  { skill: 3, depth: 2 },
+  { skill: 6, depth: 3 },
+  { skill: 9, depth: 5 },
+  { skill: 12, depth: 8 },
+  { skill: 15, depth: 11 },
+  { skill: 18, depth: 14 },
+  { skill: 20, movetime: 1500 },
+];
+
+const REPLY_DELAY_MS = 300;   // minimum pause before the computer's move
+const DRAW_MIN_PLY = 40;      // an equal position is agreed drawn only after this
+
+// A game against Stockfish on the main board, or a practice game where you
+// play both sides (opponent "human"). Both sides' moves go through onMove
+// (the app's move tree), so the game ends up in the move list. Moves are only
+// made while the board shows the latest position (atEnd); `status` is that
+// position's game status (lib/gameStatus.js). onEnd(result) reports the
+// final result.
+export function usePlayComputer({ fen, lastMove, ply, atEnd, status, onMove, onEnd }) {
+  const engineRef = useRef(null);
+  const scoreRef = useRef(null);          // the computer's latest evaluation (White's view)
+  const [game, setGame] = useState(null); // { opponent, color, level, startPly, status, result, reason, message }
+  const [thinking, setThinking] = useState(false);
+  const [error, setError] = useState("");
+
+  // Latest callbacks for the engine's asynchronous reply
+  const callbacks = useRef({ onMove, onEnd });
+  useEffect(() => {
+    callbacks.current = { onMove, onEnd };
+  });
+
+  useEffect(() => () => engineRef.current?.quit(), []);
+
+  const playing = game?.status === "playing";
+  const color = game?.color;
+  const level = game?.level;
+  const vsComputer = game?.opponent === "computer";
+  const myTurn = playing && (!vsComputer || new Chess(fen).turn() === color[0]);
+
+  function finish(result, reason) {
+    engineRef.current?.stop();
+    setThinking(false);
+    setGame((g) => ({ ...g, status: "over", result, reason, message: "" }));
+    callbacks.current.onEnd?.(result);
+  }
+
+  // Game over on the board, or the computer's turn
+  const { result: overResult, reason: overReason } = status;
+  useEffect(() => {
+    if (!playing || !atEnd) return;
+    if (overResult) {
+      setGame((g) => ({ ...g, status: "over", result: overResult, reason: overReason, message: "" }));
+      callbacks.current.onEnd?.(overResult);
+      return;
+    }
+    if (!vsComputer || new Chess(fen).turn() === color[0]) return;
+
+    engineRef.current ??= createEngine({ onError: setError });
+    const { skill, depth, movetime } = LEVELS[level - 1];
+    let current = true;
+    let timer = null;
+    setThinking(true);
+    const started = Date.now();
+    engineRef.current
+      .search({ fen, skill, depth, movetime }, (info) => { scoreRef.current = info.score; })
+      .then((result) => {
+        if (!current || !result?.bestmove || result.bestmove === "(none)") return;
+        timer = setTimeout(() => {
+          setThinking(false);
+          setGame((g) => ({ ...g, message: "" }));
+          callbacks.current.onMove(fromUci(result.bestmove));
+        }, Math.max(0, REPLY_DELAY_MS - (Date.now() - started)));
+      }, (e) => {
+        // the engine died
+        if (!current) return;
+        setThinking(false);
+        setError(e.message);
+      });
+    return () => {
+      current = false;
+      clearTimeout(timer);
+      setThinking(false);
+    };
+  }, [fen, playing, atEnd, overResult, overReason, vsComputer, color, level]);
+
+  // opponent: "computer" | "human"; startPly: the game's first position,
+  // where takebacks stop
+  function start({ opponent = "computer", color, level, startPly }) {
+    scoreRef.current = null;
+    setError("");
+    setGame({ opponent, color, level, startPly, status: "playing", result: "*", reason: "", message: "" });
+  }
+
+  // You resign; in a practice game the side to move does
+  function resign() {
+    if (!playing) return;
+    const loser = vsComputer ? game.color[0] : new Chess(fen).turn();
+    finish(loser === "w" ? "0-1" : "1-0", `${loser === "w" ? "White" : "Black"} resigns.`);
+  }
+
+  // Flag fall: the other side wins, unless it has only its king left
+  function timeout(loser) {
+    if (!playing) return;
+    const winner = loser === "w" ? "b" : "w";
+    const name = (c) => (c === "w" ? "White" : "Black");
+    const loneKing = new Chess(fen).board().flat().filter((p) => p?.color === winner).length === 1;
+    if (loneKing) finish("1/2-1/2", `${name(loser)} ran out of time, but ${name(winner)} has only a king: draw.`);
+    else finish(winner === "w" ? "1-0" : "0-1", `${name(loser)} ran out of time.`);
+  }
+
+  // The computer takes a draw when it stands worse, or in a level position
+  // late in the game. In a practice game a draw offer is a draw.
+  function offerDraw() {
+    if (!playing) return;
+    if (!vsComputer) { finish("1/2-1/2", "Draw agreed."); return; }
+    const score = scoreRef.current;
+    const sign = game.color === "white" ? -1 : 1;      // the computer's point of view
+    const own = score ? (score.mate !== undefined ? sign * Math.sign(score.mate) * 10000 : sign * score.cp) : null;
+    if (own !== null && (own <= -50 || (Math.abs(own) <= 30 && ply >= DRAW_MIN_PLY))) {
+      finish("1/2-1/2", "Draw agreed.");
+    } else {
+      setGame((g) => ({ ...g, message: "The computer declines the draw." }));
+    }
+  }
+
+  function stop() {
+    engineRef.current?.stop();
+    setThinking(false);
+    setGame(null);
+  }
+
+  return {
+    game,
+    playing,
+    myTurn,
+    thinking,
+    error,
+    start,
+    resign,
+    timeout,
+    offerDraw,
+    stop,
+    canTakeBack: playing && ply > game.startPly,
+    board: playing
+      ? { fen, lastMove, onMove: (move) => myTurn && atEnd && onMove(move), highlights: {} }
+      : null,
+  };
+}
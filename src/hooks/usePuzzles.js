@@ -0,0 +1,151 @@
+import { useEffect, useMemo, useState } from "react";
+import { Chess } from "chess.js";
+import { fromUci, toUci, isPlayable } from "../lib/puzzles.js";
+
+const REPLY_DELAY_MS = 500; // pause before the opponent's (or the first automatic) move
+
+function startPuzzle(puzzle) {
+  return {
+    puzzle,
+    fen: puzzle.fen,
+    lastMove: null,
+    step: 0,
+    status: puzzle.autoFirst ? "reply" : "play", // play | reply | solved
+    wrong: null,      // {from,to} of the last wrong try
+    hint: null,       // square to highlight
+    clean: true,      // no mistakes or hints so far
+    scored: false,    // already counted in the session score
+    feedback: "",
+  };
+}
+
+// The run after `uci`, or null when it isn't legal there
+function applyUci(run, uci) {
+  let mv = null;
+  try { mv = new Chess(run.fen).move(fromUci(uci)); }
+  catch { return null; }
+  return { ...run, fen: mv.after, lastMove: { from: mv.from, to: mv.to }, step: run.step + 1 };
+}
+
+// Tactics puzzles on the main board: filters, the current puzzle run and a
+// per-session score. onStart(color) lets the app turn the board to the solver.
+export function usePuzzles({ onStart } = {}) {
+  const [puzzles, setPuzzles] = useState([]);
+  const [filters, setFilters] = useState({ theme: "", minRating: "", maxRating: "" });
+  const [run, setRun] = useState(null);
+  const [score, setScore] = useState({ solved: 0, failed: 0, streak: 0 });
+  const [seen, setSeen] = useState(() => new Set());
+
+  const themes = useMemo(() => [...new Set(puzzles.flatMap((p) => p.themes))].sort(), [puzzles]);
+  const filtered = useMemo(() => {
+    const min = parseInt(filters.minRating, 10);
+    const max = parseInt(filters.maxRating, 10);
+    return puzzles.filter((p) =>
+      (!filters.theme || p.themes.includes(filters.theme)) &&
+      (!Number.isFinite(min) || (p.rating ?? 0) >= min) &&
+      (!Number.isFinite(max) || (p.rating ?? Infinity) <= max)
+    );
+  }, [puzzles, filters]);
+
+  // Automatic moves: the Lichess setup move and every opponent reply
+  useEffect(() => {
+    if (run?.status !== "reply") return;
+    const timer = setTimeout(() => {
+      setRun((r) => {
+        const next = applyUci(r, r.puzzle.moves[r.step]);
+        return next
+          ? { ...next, status: "play" }
+          : { ...r, status: "solved", scored: true, feedback: "This puzzle's solution doesn't fit the position." };
+      });
+    }, REPLY_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [run]);
+
+  // Returns whether the puzzle could be opened
+  function open(puzzle) {
+    if (!isPlayable(puzzle.fen, puzzle.moves)) return false;
+    const solverColor = new Chess(puzzle.fen).turn() === "w" ? "white" : "black";
+    // with an automatic first move the solver is the other side
+    const flipped = solverColor === "white" ? "black" : "white";
+    onStart?.(puzzle.autoFirst ? flipped : solverColor);
+    setSeen((s) => new Set(s).add(puzzle.id));
+    setRun(startPuzzle(puzzle));
+    return true;
+  }
+
+  function next() {
+    const pool = filtered.filter((p) => !seen.has(p.id) && p.id !== run?.puzzle.id);
+    const pick = (pool.length ? pool : filtered)[Math.floor(Math.random() * (pool.length || filtered.length))];
+    return !!pick && open(pick);
+  }
+
+  // Only the first attempt at a puzzle counts, and only when clean
+  function record(solved) {
+    setScore((s) => ({
+      solved: s.solved + (solved ? 1 : 0),
+      failed: s.failed + (solved ? 0 : 1),
+      streak: solved ? s.streak + 1 : 0,
+    }));
+  }
+
+  function finish(r) {
+    if (!r.scored) record(r.clean);
+    return { ...r, status: "solved", scored: true, feedback: r.clean ? "Solved!" : "Solved, with help." };
+  }
+
+  // Board move while solving. Returns true when the move is accepted.
+  function onMove(move) {
+    if (!run || run.status !== "play") return false;
+    let played = null;
+    try { played = new Chess(run.fen).move(move); }
+    catch { played = null; }
+    if (!played) return false;
+
+    const expected = run.puzzle.moves[run.step];
+    const isLast = run.step === run.puzzle.moves.length - 1;
+    // any mate on the final move is as good as the listed one
+    if (toUci(played) !== expected && !(isLast && played.san.endsWith("#"))) {
+      setRun({ ...run, clean: false, wrong: { from: played.from, to: played.to }, hint: null, feedback: `${played.san} is wrong. Try again.` });
+      return false;
+    }
+
+    let advanced = { ...applyUci(run, toUci(played)), wrong: null, hint: null, feedback: "Good move!" };
+    if (advanced.step >= run.puzzle.moves.length) advanced = finish(advanced);
+    else advanced.status = "reply";
+    setRun(advanced);
+    return true;
+  }
+
+  function hint() {
+    if (run?.status !== "play") return;
+    setRun({ ...run, clean: false, hint: run.puzzle.moves[run.step].slice(0, 2), feedback: "Move the highlighted piece." });
+  }
+
+  // Start the same puzzle over; an unsolved first attempt counts as failed
+  function retry() {
+    if (!run) return;
+    if (!run.scored) record(false);
+    setRun({ ...startPuzzle(run.puzzle), clean: false, scored: true });
+  }
+
+  const highlights = {};
+  if (run?.hint) highlights[run.hint] = { background: "rgba(59,130,246,.55)" };
+  if (run?.wrong) highlights[run.wrong.to] = { background: "rgba(239,68,68,.55)" };
+
+  return {
+    puzzles,
+    themes,
+    filtered,
+    filters,
+    setFilters,
+    run,
+    score,
+    load: (list) => { setPuzzles(list); setSeen(new Set()); },
+    open,
+    next,
+    hint,
+    retry,
+    stop: () => setRun(null),
+    board: run ? { fen: run.fen, lastMove: run.lastMove, onMove, highlights } : null,
+  };
+}
@@ -0,0 +1,178 @@
+import { useCallback, useEffect, useState } from "react";
+import { Chess } from "chess.js";
+import { loadJson, saveJson } from "../lib/storage.js";
+import { ROOT_ID, mergePath } from "../lib/moveTree.js";
+import { exportPgn } from "../lib/pgn.js";
+import {
+  START_FEN, positionKey, emptyRepertoire, mergePgnIntoTree, countPositions, pickOpponentMove, recordDrill,
+} from "../lib/repertoire.js";
+
+const STORAGE_KEY = "chessburn:repertoire";
+const REPLY_DELAY_MS = 400;  // pause before the opponent's move
+
+const EMPTY = { white: emptyRepertoire(), black: emptyRepertoire() };
+
+// The drill walks the repertoire tree from the start: the app plays the
+// opponent's prepared moves, the user has to find their own.
+function startLine(tree, color, score) {
+  return {
+    color, score,
+    nodeId: ROOT_ID,
+    fen: tree.nodes[ROOT_ID].fen,
+    lastMove: null,
+    status: color === "white" ? "play" : "reply",  // play | reply | end
+    missed: false,    // a miss was already recorded for this position
+    wrong: null,      // {from,to} of the last wrong try
+    feedback: "",
+  };
+}
+
+function advance(drill, tree, id) {
+  const node = tree.nodes[id];
+  return { ...drill, nodeId: id, fen: node.fen, lastMove: { from: node.from, to: node.to }, missed: false, wrong: null };
+}
+
+// Opening repertoires for White and Black, kept as move trees in localStorage,
+// with a drill that takes over the main board while it runs.
+// onStart(color) lets the app turn the board to the user's side.
+export function useRepertoire({ onStart } = {}) {
+  const [data, setData] = useState(() => ({ ...EMPTY, ...loadJson(STORAGE_KEY, EMPTY) }));
+  const [color, setColor] = useState("white");
+  const [drill, setDrill] = useState(null);
+
+  useEffect(() => {
+    saveJson(STORAGE_KEY, data);
+  }, [data]);
+
+  const drillTree = drill ? data[drill.color].tree : null;
+
+  // The opponent's move is played after a short pause
+  useEffect(() => {
+    if (drill?.status !== "reply") return;
+    const timer = setTimeout(() => {
+      setDrill((d) => {
+        const id = pickOpponentMove(drillTree, d.nodeId, data[d.color].stats);
+        if (id === null) return { ...d, status: "end", feedback: "End of the line." };
+        const next = advance(d, drillTree, id);
+        if (!drillTree.nodes[id].children.length) {
+          return { ...next, status: "end", score: { ...d.score, lines: d.score.lines + 1 }, feedback: "Line complete — nothing prepared after this." };
+        }
+        return { ...next, status: "play", feedback: "" };
+      });
+    }, REPLY_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [drill, drillTree, data]);
+
+  // Stable, so the app can save board edits from an effect
+  const setTree = useCallback((side, tree) => {
+    setData((d) => ({ ...d, [side]: { ...d[side], tree } }));
+  }, []);
+
+  // Add one line of another tree (e.g. the game on the board) to the repertoire
+  function addLine(sourceTree, path, side = color) {
+    if (positionKey(sourceTree.nodes[ROOT_ID].fen) !== positionKey(START_FEN)) {
+      return "Repertoire lines have to start from the initial position.";
+    }
+    if (!path.length) return "Play or select a line first.";
+    setTree(side, mergePath(data[side].tree, sourceTree, path));
+    return "";
+  }
+
+  // Merge every game and variation of a PGN into the repertoire
+  function importPgn(text, side = color) {
+    const { tree, games, errors } = mergePgnIntoTree(data[side].tree, text);
+    if (games) setTree(side, tree);
+    return { games, errors };
+  }
+
+  function clear(side = color) {
+    setData((d) => ({ ...d, [side]: emptyRepertoire() }));
+  }
+
+  function exportText(side = color) {
+    return exportPgn(data[side].tree, { Event: `${side === "white" ? "White" : "Black"} repertoire` });
+  }
+
+  function startDrill(side = color) {
+    const tree = data[side].tree;
+    if (!tree.nodes[ROOT_ID].children.length) return false;
+    onStart?.(side);
+    setDrill(startLine(tree, side, { hits: 0, misses: 0, lines: 0 }));
+    return true;
+  }
+
+  function record(fen, hit) {
+    const side = drill.color;
+    setData((d) => ({ ...d, [side]: { ...d[side], stats: recordDrill(d[side].stats, fen, hit) } }));
+  }
+
+  function finishMove(d, id, hit) {
+    const score = { ...d.score, hits: d.score.hits + (hit ? 1 : 0) };
+    const next = { ...advance(d, drillTree, id), score };
+    if (!drillTree.nodes[id].children.length) {
+      return { ...next, status: "end", score: { ...score, lines: score.lines + 1 }, feedback: "Line complete!" };
+    }
+    return { ...next, status: "reply", feedback: hit ? "Correct." : "" };
+  }
+
+  // Board move during the drill. Returns true when it is a prepared move.
+  function onMove(move) {
+    if (!drill || drill.status !== "play") return false;
+    let played = null;
+    try { played = new Chess(drill.fen).move(move); }
+    catch { played = null; }
+    if (!played) return false;
+
+    const match = drillTree.nodes[drill.nodeId].children.find((cid) => drillTree.nodes[cid].san === played.san);
+    if (match === undefined) {
+      if (!drill.missed) record(drill.fen, false);
+      setDrill({
+        ...drill,
+        missed: true,
+        wrong: { from: played.from, to: played.to },
+        score: drill.missed ? drill.score : { ...drill.score, misses: drill.score.misses + 1 },
+        feedback: `${played.san} is not in your repertoire. Try again.`,
+      });
+      return false;
+    }
+    if (!drill.missed) record(drill.fen, true);
+    setDrill(finishMove(drill, match, !drill.missed));
+    return true;
+  }
+
+  // Give up on this position: play the main prepared move, counted as a miss
+  function showMove() {
+    if (drill?.status !== "play") return;
+    const id = drillTree.nodes[drill.nodeId].children[0];
+    if (!drill.missed) record(drill.fen, false);
+    const d = drill.missed ? drill : { ...drill, score: { ...drill.score, misses: drill.score.misses + 1 } };
+    const next = finishMove(d, id, false);
+    setDrill({ ...next, feedback: `Prepared: ${drillTree.nodes[id].san}. ${next.feedback}`.trim() });
+  }
+
+  function nextLine() {
+    if (!drill) return;
+    setDrill(startLine(drillTree, drill.color, drill.score));
+  }
+
+  const highlights = {};
+  if (drill?.wrong) highlights[drill.wrong.to] = { background: "rgba(239,68,68,.55)" };
+
+  return {
+    color,
+    setColor,
+    tree: data[color].tree,
+    positions: countPositions(data[color].tree),
+    setTree,
+    addLine,
+    importPgn,
+    clear,
+    exportText,
+    drill,
+    startDrill,
+    showMove,
+    nextLine,
+    stopDrill: () => setDrill(null),
+    board: drill ? { fen: drill.fen, lastMove: drill.lastMove, onMove, highlights } : null,
+  };
+}
@@ -0,0 +1,49 @@
+import { useCallback, useEffect, useState } from "react";
+
+// Client-side routes. Netlify serves index.html for every path, so any of
+// these survives a refresh; "/" is the analysis board.
+const ROUTES = [
+  { name: "analysis", pattern: /^\/(?:analysis\/?)?$/ },
+  { name: "game", pattern: /^\/game\/([^/]+)\/?$/ },
+  { name: "puzzle", pattern: /^\/puzzle(?:\/([^/]+))?\/?$/ },
+  { name: "train", pattern: /^\/train\/?$/ },
+  { name: "about", pattern: /^\/about\/?$/ },
+];
+
+// pathname -> { name, id } (name "notFound" for anything else)
+export function parseRoute(pathname) {
+  for (const { name, pattern } of ROUTES) {
+    const m = pathname.match(pattern);
+    if (m) return { name, id: m[1] ? decodeURIComponent(m[1]) : null };
+  }
+  return { name: "notFound", id: null };
+}
+
+// action: how we got here: "load" (first render), "push", "replace" or "pop"
+// (back/forward). key changes with every location change.
+function currentLocation(action, key) {
+  return { route: parseRoute(window.location.pathname), search: window.location.search, action, key };
+}
+
+// The route of the current URL, kept in sync with back/forward.
+// navigate(path) pushes a history entry; { replace: true } rewrites the
+// current one (e.g. to keep the board's query string up to date).
+export function useRoute() {
+  const [location, setLocation] = useState(() => currentLocation("load", 0));
+
+  useEffect(() => {
+    const onPop = () => setLocation((l) => currentLocation("pop", l.key + 1));
+    window.addEventListener("popstate", onPop);
+    return () => window.removeEventListener("popstate", onPop);
+  }, []);
+
+  const navigate = useCallback((path, { replace = false } = {}) => {
+    const target = new URL(path, window.location.origin);
+    const href = target.pathname + target.search;
+    if (href === window.location.pathname + window.location.search) return;
+    window.history[replace ? "replaceState" : "pushState"](null, "", href);
+    setLocation((l) => currentLocation(replace ? "replace" : "push", l.key + 1));
+  }, []);
+
+  return { ...location, navigate };
+}
@@ -0,0 +1,27 @@
+import { useEffect, useState } from "react";
+import { loadJson, saveJson } from "../lib/storage.js";
+import { normalizeSettings } from "../lib/settings.js";
+import { PIECE_SETS } from "../lib/pieceSets.js";
+
+const STORAGE_KEY = "chessburn:settings";
+
+// Display settings, saved on every change. The app theme is applied to the
+// page as <html data-theme="…"> (colours in index.css).
+export function useSettings() {
+  const [settings, setSettings] = useState(() => normalizeSettings(loadJson(STORAGE_KEY, null), PIECE_SETS));
+
+  useEffect(() => {
+    saveJson(STORAGE_KEY, settings);
+  }, [settings]);
+
+  useEffect(() => {
+    document.documentElement.dataset.theme = settings.appTheme;
+  }, [settings.appTheme]);
+
+  return {
+    settings,
+    pieces: PIECE_SETS[settings.pieceSet].pieces,
+    update: (patch) => setSettings((s) => ({ ...s, ...patch })),
+    reset: () => setSettings(normalizeSettings(null, PIECE_SETS)),
+  };
+}
@@ -0,0 +1,188 @@
+import { useEffect, useState } from "react";
+import { Chess } from "chess.js";
+import { loadJson, saveJson } from "../lib/storage.js";
+import { createCard, schedule, qualityFromMistakes, isDue, updateStreak } from "../lib/srs.js";
+
+const STORAGE_KEY = "chessburn:trainer";
+const REPLY_DELAY_MS = 400;  // pause before the opponent's reply is played
+const LOG_LIMIT = 2000;      // review history entries kept
+
+const EMPTY = { decks: [], cards: [], log: [], streak: null };
+
+let idCounter = 0;
+function newId(prefix) {
+  idCounter += 1;
+  return `${prefix}${Date.now().toString(36)}${idCounter.toString(36)}`;
+}
+
+function startCard(card, queue, index, stats) {
+  return {
+    queue, index, stats,
+    cardId: card.id,
+    fen: card.fen,
+    lastMove: null,
+    step: 0,          // index into card.moves of the next expected move
+    mistakes: 0,
+    status: "play",   // play | reply | solved | failed | done
+    feedback: "",
+  };
+}
+
+function applyMove(session, move) {
+  const mv = new Chess(session.fen).move(move);
+  return { ...session, fen: mv.after, lastMove: { from: mv.from, to: mv.to }, step: session.step + 1 };
+}
+
+// Pattern trainer: decks of saved positions with their correct continuation,
+// reviewed on an SM-2 schedule. Everything persists in localStorage.
+// While a review runs, `board` takes over the main board.
+export function useTrainer() {
+  const [data, setData] = useState(() => ({ ...EMPTY, ...loadJson(STORAGE_KEY, EMPTY) }));
+  const [session, setSession] = useState(null);
+
+  useEffect(() => {
+    saveJson(STORAGE_KEY, data);
+  }, [data]);
+
+  const card = session ? data.cards.find((c) => c.id === session.cardId) : null;
+
+  // The opponent's reply is played after a short pause
+  useEffect(() => {
+    if (session?.status !== "reply" || !card) return;
+    const timer = setTimeout(() => {
+      setSession((s) => {
+        const next = applyMove(s, card.moves[s.step]);
+        return { ...next, status: "play" };
+      });
+    }, REPLY_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [session, card]);
+
+  function dueCount(deckId, now = Date.now()) {
+    return data.cards.filter((c) => (!deckId || c.deckId === deckId) && isDue(c, now)).length;
+  }
+
+  // Save a position and its continuation (SAN list, first move by the side to
+  // move). The line must end on the trainee's move, so an odd length is kept.
+  function addCard({ deckName, name, fen, moves }) {
+    const trimmed = deckName.trim() || "Patterns";
+    const line = moves.slice(0, moves.length - (1 - (moves.length % 2)));
+    if (!line.length) return;
+    setData((d) => {
+      let deck = d.decks.find((k) => k.name === trimmed);
+      const decks = deck ? d.decks : [...d.decks, (deck = { id: newId("d"), name: trimmed })];
+      const card = createCard({ id: newId("c"), deckId: deck.id, name: name.trim(), fen, moves: line });
+      return { ...d, decks, cards: [...d.cards, card] };
+    });
+  }
+
+  function deleteCard(cardId) {
+    setData((d) => ({ ...d, cards: d.cards.filter((c) => c.id !== cardId) }));
+  }
+
+  function deleteDeck(deckId) {
+    setData((d) => ({
+      ...d,
+      decks: d.decks.filter((k) => k.id !== deckId),
+      cards: d.cards.filter((c) => c.deckId !== deckId),
+    }));
+  }
+
+  // Review the due cards of one deck (or all decks), oldest due first
+  function startReview(deckId = null) {
+    const now = Date.now();
+    const queue = data.cards
+      .filter((c) => (!deckId || c.deckId === deckId) && isDue(c, now))
+      .sort((a, b) => a.due - b.due)
+      .map((c) => c.id);
+    if (!queue.length) return false;
+    const first = data.cards.find((c) => c.id === queue[0]);
+    setSession(startCard(first, queue, 0, { solved: 0, failed: 0 }));
+    return true;
+  }
+
+  function grade(quality) {
+    const now = Date.now();
+    setData((d) => ({
+      ...d,
+      cards: d.cards.map((c) => (c.id === session.cardId ? schedule(c, quality, now) : c)),
+      log: [...d.log, { cardId: session.cardId, at: now, quality }].slice(-LOG_LIMIT),
+      streak: updateStreak(d.streak, now),
+    }));
+  }
+
+  // Board move during a review. Returns true when it was the expected move.
+  function onMove(move) {
+    if (!session || !card || session.status !== "play") return false;
+    let played = null;
+    try { played = new Chess(session.fen).move(move); }
+    catch { played = null; }
+    if (!played) return false;
+
+    if (played.san !== card.moves[session.step]) {
+      setSession({ ...session, mistakes: session.mistakes + 1, feedback: `${played.san} is not it — try again.` });
+      return false;
+    }
+
+    const next = { ...applyMove(session, played.san), feedback: "" };
+    if (next.step < card.moves.length) {
+      setSession({ ...next, status: "reply" });
+    } else {
+      const solved = qualityFromMistakes(next.mistakes) >= 3;
+      grade(qualityFromMistakes(next.mistakes));
+      setSession({
+        ...next,
+        status: solved ? "solved" : "failed",
+        feedback: solved ? "Correct!" : "Completed with mistakes — it will come back soon.",
+        stats: { ...next.stats, [solved ? "solved" : "failed"]: next.stats[solved ? "solved" : "failed"] + 1 },
+      });
+    }
+    return true;
+  }
+
+  // Give up: play out the rest of the line and grade the card as failed
+  function revealAnswer() {
+    if (!session || !card || !["play", "reply"].includes(session.status)) return;
+    let s = session;
+    while (s.step < card.moves.length) s = applyMove(s, card.moves[s.step]);
+    grade(qualityFromMistakes(session.mistakes, true));
+    setSession({
+      ...s,
+      status: "failed",
+      feedback: `Answer: ${card.moves.join(" ")}`,
+      stats: { ...s.stats, failed: s.stats.failed + 1 },
+    });
+  }
+
+  function nextCard() {
+    if (!session) return;
+    const index = session.index + 1;
+    const nextCardData = data.cards.find((c) => c.id === session.queue[index]);
+    if (!nextCardData) {
+      setSession({ ...session, status: "done", feedback: "" });
+      return;
+    }
+    setSession(startCard(nextCardData, session.queue, index, session.stats));
+  }
+
+  const active = !!session && session.status !== "done";
+
+  return {
+    decks: data.decks,
+    cards: data.cards,
+    log: data.log,
+    streak: data.streak,
+    session,
+    card,
+    active,
+    board: active ? { fen: session.fen, lastMove: session.lastMove, onMove } : null,
+    dueCount,
+    addCard,
+    deleteCard,
+    deleteDeck,
+    startReview,
+    revealAnswer,
+    nextCard,
+    stopReview: () => setSession(null),
+  };
+}
@@ -0,0 +1,80 @@
+import { ROOT_ID, pathTo } from "./moveTree.js";
+
+// Clock times are seconds (fractions allowed). A node's `clock` is its side's
+// remaining time after the move, as in PGN [%clk h:mm:ss] comments.
+
+// "1:23:45", "23:45" or "0:00:09.5" -> seconds (null when malformed)
+export function parseClock(text) {
+  const m = String(text || "").trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{1,2}(?:\.\d+)?)$/);
+  if (!m) return null;
+  return Number(m[1] || 0) * 3600 + Number(m[2]) * 60 + Number(m[3]);
+}
+
+// seconds -> "h:mm:ss" for %clk, with tenths when there are any ("0:02:58.5")
+export function formatClock(seconds) {
+  const tenths = Math.round(Math.max(0, seconds) * 10);
+  const s = Math.floor(tenths / 10);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${Math.floor(s / 3600)}:${pad(Math.floor(s / 60) % 60)}:${pad(s % 60)}${tenths % 10 ? `.${tenths % 10}` : ""}`;
+}
+
+// seconds -> "1:05:09", "5:09", or "0:09.4" in the last 20 seconds
+export function formatClockShort(seconds) {
+  const s = Math.max(0, seconds);
+  if (s < 20) return `0:${(Math.floor(s * 10) / 10).toFixed(1).padStart(4, "0")}`;
+  const whole = Math.floor(s);
+  const pad = (n) => String(n).padStart(2, "0");
+  const h = Math.floor(whole / 3600);
+  const m = Math.floor(whole / 60) % 60;
+  return h ? `${h}:${pad(m)}:${pad(whole % 60)}` : `${m}:${pad(whole % 60)}`;
+}
+
+// Time spent on a move: "12s", "1:05"
+export function formatSpent(seconds) {
+  const s = Math.max(0, Math.round(seconds));
+  return s < 60 ? `${s}s` : `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+}
+
+// PGN TimeControl tag -> { initial, increment } of its first period.
+// "300+2", "5400", "40/7200:3600", "*60" (sandglass); null for "-", "?" or junk.
+export function parseTimeControl(tag) {
+  const first = String(tag || "").trim().split(":")[0];
+  const m = first.match(/^(?:\d+\/)?\*?(\d+)(?:\+(\d+(?:\.\d+)?))?$/);
+  if (!m) return null;
+  return { initial: Number(m[1]), increment: Number(m[2] || 0) };
+}
+
+export function timeControlTag({ initial, increment }) {
+  return increment ? `${initial}+${increment}` : String(initial);
+}
+
+// Remaining time of both sides with the board at `id`: each side's last
+// recorded clock on the path, else the time control's starting time
+export function clocksAt(tree, id, timeControl) {
+  const clocks = { w: timeControl?.initial ?? null, b: timeControl?.initial ?? null };
+  const seen = { w: false, b: false };
+  for (const nid of pathTo(tree, id).reverse()) {
+    const node = tree.nodes[nid];
+    if (seen[node.color] || node.clock === undefined) continue;
+    clocks[node.color] = node.clock;
+    seen[node.color] = true;
+    if (seen.w && seen.b) break;
+  }
+  return clocks;
+}
+
+// node id -> seconds spent on the move, for every move with a clock whose
+// side's previous clock (or the starting time) is known
+export function moveTimes(tree, timeControl) {
+  const spent = new Map();
+  for (const node of Object.values(tree.nodes)) {
+    if (node.id === ROOT_ID || node.clock === undefined) continue;
+    // the side's previous move is two plies back; its first move starts from the full time
+    const parent = tree.nodes[node.parentId];
+    const previous = parent.parentId === null ? null : tree.nodes[parent.parentId];
+    const before = !previous || previous.id === ROOT_ID ? timeControl?.initial : previous.clock;
+    if (before === undefined || before === null) continue;
+    spent.set(node.id, Math.max(0, before - node.clock + (timeControl?.increment || 0)));
+  }
+  return spent;
+}
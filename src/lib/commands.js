@@ -0,0 +1,89 @@
+import { Chess } from "chess.js";
+
+// Command-bar input: a move in SAN ("Nf3", "exd5", "O-O") or UCI ("g1f3")
+// for the displayed position, or one of these commands
+export const COMMANDS = [
+  { name: "flip", usage: "flip", help: "Turn the board around" },
+  { name: "reset", usage: "reset", help: "New game from the start position" },
+  { name: "goto", usage: "goto 24 | goto 24... | goto start | goto end", help: "Go to a move of the current line" },
+  { name: "fen", usage: "fen <FEN>", help: "Load a position" },
+];
+
+const MAX_SUGGESTIONS = 8;
+
+// "0-0", "o-o" and check/annotation marks don't matter when matching SAN
+const plainSan = (san) => san.replace(/[+#!?]/g, "").replace(/0/g, "O");
+
+function legalMoves(fen) {
+  return new Chess(fen).moves({ verbose: true }).map((m) => ({
+    san: m.san,
+    uci: m.from + m.to + (m.promotion || ""),
+    move: { from: m.from, to: m.to, promotion: m.promotion },
+  }));
+}
+
+// The legal move `text` names exactly, or null
+export function findMove(fen, text) {
+  const typed = plainSan(text.trim());
+  if (!typed) return null;
+  const moves = legalMoves(fen);
+  return moves.find((m) => plainSan(m.san) === typed) ||
+    moves.find((m) => m.uci === typed.toLowerCase()) ||
+    moves.find((m) => plainSan(m.san).toLowerCase() === typed.toLowerCase()) ||
+    null;
+}
+
+// Suggestions for partly typed input: legal moves whose SAN (or UCI) starts
+// with it, then matching commands. { label, value, hint, move? }
+export function completions(fen, text) {
+  const typed = text.trim();
+  if (!typed) return [];
+  const plain = plainSan(typed);
+  const lower = plain.toLowerCase();
+  const moves = legalMoves(fen);
+  // Case matters first (b4 is a pawn move, Bb4 a bishop's), then doesn't
+  const exact = moves.filter((m) => plainSan(m.san).startsWith(plain) || m.uci.startsWith(typed.toLowerCase()));
+  const loose = exact.length ? [] : moves.filter((m) => plainSan(m.san).toLowerCase().startsWith(lower));
+  const suggestions = [...exact, ...loose].map((m) => ({ label: m.san, value: m.san, hint: m.uci, move: m.move }));
+  const word = typed.split(/\s+/)[0].toLowerCase();
+  for (const c of COMMANDS) {
+    if (c.name.startsWith(word)) suggestions.push({ label: c.usage, value: `${c.name}${c.name === "flip" || c.name === "reset" ? "" : " "}`, hint: c.help });
+  }
+  return suggestions.slice(0, MAX_SUGGESTIONS);
+}
+
+// "goto" target -> { ply } along `line` (node ids; see useGameState), or { error }
+function gotoTarget(arg, line, nodes) {
+  const a = arg.trim().toLowerCase();
+  if (a === "start" || a === "0") return { ply: 0 };
+  if (a === "end") return { ply: line.length };
+  const m = a.match(/^(\d+)\s*(\.\.\.|\.|b|w)?$/);
+  if (!m) return { error: "Use goto <move number>, e.g. goto 24 or goto 24..." };
+  const color = m[2] === "..." || m[2] === "b" ? "b" : "w";
+  const index = line.findIndex((id) => nodes[id].moveNumber === Number(m[1]) && nodes[id].color === color);
+  if (index === -1) return { error: `There's no move ${m[1]}${color === "b" ? "..." : ""} in this line.` };
+  return { ply: index + 1 };
+}
+
+// Parse a submitted command bar line. `game` = { fen, line, nodes } of the
+// displayed position. Returns one of { type: "move", move } | { type: "flip" } |
+// { type: "reset" } | { type: "goto", ply } | { type: "fen", fen } | { error }.
+export function parseCommand(text, { fen, line, nodes }) {
+  const typed = text.trim();
+  const [word, ...rest] = typed.split(/\s+/);
+  const arg = rest.join(" ");
+  switch (word.toLowerCase()) {
+    case "flip": return { type: "flip" };
+    case "reset": return { type: "reset" };
+    case "goto": {
+      const target = gotoTarget(arg, line, nodes);
+      return target.error ? target : { type: "goto", ply: target.ply };
+    }
+    case "fen":
+      return arg ? { type: "fen", fen: arg } : { error: "Paste a FEN after “fen”." };
+    default: {
+      const found = findMove(fen, typed);
+      return found ? { type: "move", move: found.move } : { error: `“${typed}” isn't a legal move or a command.` };
+    }
+  }
+}
@@ -0,0 +1,65 @@
+import { ROOT_ID } from "./moveTree.js";
+
+// ECO opening classification. src/data/eco.tsv lists every position (EPD) on
+// the lines of pgn-extract's eco.pgn (Ewart Shaw, Franz Hemmer and others);
+// positions that end a named line carry its ECO code and name. Looking up by
+// position rather than by move order recognises transpositions.
+
+export function toEpd(fen) {
+  return fen.split(" ").slice(0, 4).join(" ");
+}
+
+// Map epd -> { eco, name } for named positions, null for positions that are
+// only on the way to one
+export function parseEcoTsv(text) {
+  const book = new Map();
+  for (const line of text.split("\n").slice(1)) {
+    if (!line) continue;
+    const [epd, eco, name] = line.split("\t");
+    book.set(epd, eco ? { eco, name } : null);
+  }
+  return book;
+}
+
+// The dataset is a separate chunk, fetched the first time it's needed
+let bookPromise = null;
+export function loadEcoBook() {
+  bookPromise ??= import("../data/eco.tsv?raw").then((m) => parseEcoTsv(m.default));
+  return bookPromise;
+}
+
+// Latest named opening on a line of nodes (root excluded), up to `ply` moves in
+export function classifyLine(book, tree, line, ply = line.length) {
+  for (let i = Math.min(ply, line.length) - 1; i >= 0; i--) {
+    const hit = book.get(toEpd(tree.nodes[line[i]].fen));
+    if (hit) return { ...hit, ply: i + 1 };
+  }
+  return null;
+}
+
+const START_EPD = "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq -";
+
+// Ids of the moves that leave known theory. A position counts as theory when
+// it is in the book or a line from it gets back there (the dataset doesn't list
+// every move order). Games from a custom position have none.
+export function bookExits(book, tree) {
+  const exits = new Set();
+  if (toEpd(tree.nodes[ROOT_ID].fen) !== START_EPD) return exits;
+  const theory = new Map();
+  const isTheory = (id) => {
+    if (!theory.has(id)) {
+      const node = tree.nodes[id];
+      const children = node.children.map(isTheory);
+      theory.set(id, book.has(toEpd(node.fen)) || children.some(Boolean));
+    }
+    return theory.get(id);
+  };
+  const stack = [ROOT_ID];
+  while (stack.length) {
+    for (const cid of tree.nodes[stack.pop()].children) {
+      if (isTheory(cid)) stack.push(cid);
+      else exits.add(cid);
+    }
+  }
+  return exits;
+}
@@ -0,0 +1,127 @@
+import engineUrl from "stockfish/bin/stockfish-18-lite-single.js?url";
+import engineWasmUrl from "stockfish/bin/stockfish-18-lite-single.wasm?url";
+
+// Stockfish (lite, single-threaded WASM build) in a Web Worker, driven over UCI.
+// Works offline: both files are bundled as assets. The worker script finds
+// its .wasm from the URL hash.
+
+// Scores are from White's point of view: { cp } or { mate } (moves to mate, negative when Black mates)
+
+// "info depth 12 ... multipv 2 score cp 31 ... pv e2e4 e7e5" -> { depth, multipv, score, pv }
+export function parseInfo(line, whiteToMove) {
+  if (!line.startsWith("info ") || !line.includes(" pv ") || / (lower|upper)bound/.test(line)) return null;
+  const field = (name) => line.match(new RegExp(` ${name} (-?\\d+)`))?.[1];
+  const sign = whiteToMove ? 1 : -1;
+  const cp = field("score cp");
+  const mate = field("score mate");
+  if (cp === undefined && mate === undefined) return null;
+  return {
+    depth: Number(field("depth")),
+    multipv: Number(field("multipv") || 1),
+    score: mate !== undefined ? { mate: sign * Number(mate) } : { cp: sign * Number(cp) },
+    pv: line.slice(line.indexOf(" pv ") + 4).trim().split(/\s+/),
+  };
+}
+
+// 0..1 expected share for White, as shown by the eval bar
+export function whiteShare(score) {
+  if (!score) return 0.5;
+  if (score.mate !== undefined) return score.mate > 0 ? 1 : 0;
+  return 1 / (1 + Math.exp(-0.00368208 * score.cp));
+}
+
+export function formatScore(score) {
+  if (!score) return "";
+  if (score.mate !== undefined) return `${score.mate < 0 ? "-" : ""}M${Math.abs(score.mate)}`;
+  const pawns = score.cp / 100;
+  return `${pawns > 0 ? "+" : ""}${pawns.toFixed(2)}`;
+}
+
+// One engine per caller. search() runs one search at a time: a new call stops
+// the running search, and a superseded search resolves to null.
+// Resolves to { bestmove } (UCI) once the engine is done. If the worker
+// fails, the running and queued searches reject, and so does every later one.
+export function createEngine({ onError } = {}) {
+  const worker = new Worker(`${engineUrl}#${encodeURIComponent(engineWasmUrl)}`);
+  let running = null;   // search whose "go" was sent, until its bestmove
+  let latest = null;    // most recent request; older ones are dropped
+  let failed = "";      // error message once the worker is dead
+  const pending = new Set();   // searches not settled yet
+  let onReady = null;
+  // Nothing is searched before the engine answers "uciok" and "readyok"
+  let idle = new Promise((resolve) => { onReady = resolve; });
+
+  const send = (cmd) => worker.postMessage(cmd);
+
+  function settle(job, result) {
+    pending.delete(job);
+    job.resolve(result);
+  }
+
+  function fail(message) {
+    if (failed) return;
+    failed = message;
+    running = null;
+    for (const job of pending) job.reject(new Error(message));
+    pending.clear();
+    worker.terminate();
+    onError?.(message);
+  }
+
+  worker.onmessage = (e) => {
+    const line = String(e.data);
+    if (line.startsWith("uciok")) { send("isready"); return; }
+    if (line.startsWith("readyok")) { onReady?.(); onReady = null; return; }
+    if (!running) return;
+    if (line.startsWith("bestmove")) {
+      const job = running;
+      running = null;
+      settle(job, latest === job ? { bestmove: line.split(" ")[1] } : null);
+    } else if (latest === running) {
+      const info = parseInfo(line, running.whiteToMove);
+      if (info) running.onInfo?.(info);
+    }
+  };
+  worker.onerror = (e) => {
+    e.preventDefault?.();
+    fail(e.message || "The engine failed to load.");
+  };
+
+  send("uci");
+
+  // { fen, multiPv, depth, movetime, skill, elo } ; onInfo(info) while searching
+  function search({ fen, multiPv = 1, depth, movetime, skill, elo }, onInfo) {
+    if (failed) return Promise.reject(new Error(failed));
+    const job = { onInfo, whiteToMove: fen.split(" ")[1] === "w" };
+    const done = new Promise((resolve, reject) => { job.resolve = resolve; job.reject = reject; });
+    pending.add(job);
+    latest = job;
+    if (running) send("stop");
+    idle = idle
+      .then(() => {
+        if (!pending.has(job)) return;
+        if (latest !== job) { settle(job, null); return; }
+        running = job;
+        send(`setoption name MultiPV value ${multiPv}`);
+        send(`setoption name Skill Level value ${skill ?? 20}`);
+        send(`setoption name UCI_LimitStrength value ${elo ? "true" : "false"}`);
+        if (elo) send(`setoption name UCI_Elo value ${elo}`);
+        send(`position fen ${fen}`);
+        send(movetime ? `go movetime ${movetime}` : `go depth ${depth || 18}`);
+        return done;
+      })
+      .catch(() => {});
+    return done;
+  }
+
+  function stop() {
+    latest = null;
+    if (running) send("stop");
+  }
+
+  return {
+    search,
+    stop,
+    quit: () => worker.terminate(),
+  };
+}
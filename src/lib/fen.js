@@ -0,0 +1,129 @@
+import { Chess, validateFen as chessValidateFen } from "chess.js";
+
+const FILES = "abcdefgh";
+const COLOR_NAMES = { w: "White", b: "Black" };
+const CASTLING = {
+  K: { color: "w", king: "e1", rook: "h1", side: "kingside" },
+  Q: { color: "w", king: "e1", rook: "a1", side: "queenside" },
+  k: { color: "b", king: "e8", rook: "h8", side: "kingside" },
+  q: { color: "b", king: "e8", rook: "a8", side: "queenside" },
+};
+
+// Placement field <-> { e1: "wK", ... } (react-chessboard piece codes)
+export function placementToPieces(placement) {
+  const pieces = {};
+  placement.split("/").forEach((rank, r) => {
+    let file = 0;
+    for (const ch of rank) {
+      if (/\d/.test(ch)) { file += Number(ch); continue; }
+      const color = ch === ch.toUpperCase() ? "w" : "b";
+      pieces[`${FILES[file]}${8 - r}`] = `${color}${ch.toUpperCase()}`;
+      file++;
+    }
+  });
+  return pieces;
+}
+
+export function piecesToPlacement(pieces) {
+  const ranks = [];
+  for (let rank = 8; rank >= 1; rank--) {
+    let row = "";
+    let empty = 0;
+    for (const file of FILES) {
+      const code = pieces[`${file}${rank}`];
+      if (!code) { empty++; continue; }
+      if (empty) { row += empty; empty = 0; }
+      row += code[0] === "w" ? code[1] : code[1].toLowerCase();
+    }
+    ranks.push(row + (empty || ""));
+  }
+  return ranks.join("/");
+}
+
+// Castling rights that fit the king and rook placement
+export function possibleCastling(pieces) {
+  return Object.keys(CASTLING).filter((right) => {
+    const c = CASTLING[right];
+    return pieces[c.king] === `${c.color}K` && pieces[c.rook] === `${c.color}R`;
+  });
+}
+
+// En-passant target squares that fit the placement: a pawn of the side that
+// just moved stands on its fourth rank with both squares behind it empty.
+export function possibleEnPassant(pieces, turn) {
+  const [pawnRank, targetRank, fromRank, mover] = turn === "w" ? [5, 6, 7, "b"] : [4, 3, 2, "w"];
+  return [...FILES]
+    .filter((f) => pieces[`${f}${pawnRank}`] === `${mover}P` && !pieces[`${f}${targetRank}`] && !pieces[`${f}${fromRank}`])
+    .map((f) => `${f}${targetRank}`);
+}
+
+// Fill in the trailing fields a pasted EPD or bare placement leaves out
+// (White to move, no castling or en passant, "0 1")
+export function completeFen(fen) {
+  const fields = String(fen || "").trim().split(/\s+/).filter(Boolean);
+  if (fields.length === 0 || fields.length >= 6) return fields.join(" ");
+  return [...fields, ..."w - - 0 1".split(" ").slice(fields.length - 1)].join(" ");
+}
+
+// Check a FEN and explain what is wrong in plain words.
+// Returns { valid: true } or { valid: false, error }.
+export function validateFen(fen) {
+  const fields = String(fen || "").trim().split(/\s+/);
+  if (fields.length !== 6) return { valid: false, error: `A FEN has 6 fields separated by spaces; this one has ${fields.length}.` };
+  const [placement, turn, castling, ep, halfmove, fullmove] = fields;
+
+  const ranks = placement.split("/");
+  if (ranks.length !== 8) return { valid: false, error: `The board needs 8 ranks separated by "/"; found ${ranks.length}.` };
+  for (let r = 0; r < 8; r++) {
+    const bad = ranks[r].match(/[^pnbrqkPNBRQK1-8]/);
+    if (bad) return { valid: false, error: `Unknown piece letter "${bad[0]}" on rank ${8 - r}.` };
+    const width = [...ranks[r]].reduce((n, ch) => n + (/\d/.test(ch) ? Number(ch) : 1), 0);
+    if (width !== 8) return { valid: false, error: `Rank ${8 - r} has ${width} squares instead of 8.` };
+  }
+  const pieces = placementToPieces(placement);
+
+  for (const color of ["w", "b"]) {
+    const name = COLOR_NAMES[color];
+    const own = Object.values(pieces).filter((p) => p[0] === color);
+    const kings = own.filter((p) => p[1] === "K").length;
+    if (kings === 0) return { valid: false, error: `${name} has no king.` };
+    if (kings > 1) return { valid: false, error: `There are ${kings === 2 ? "two" : kings} ${name.toLowerCase()} kings.` };
+    const pawns = own.filter((p) => p[1] === "P").length;
+    if (pawns > 8) return { valid: false, error: `${name} has ${pawns} pawns; at most 8 are possible.` };
+    if (own.length > 16) return { valid: false, error: `${name} has ${own.length} pieces; at most 16 are possible.` };
+  }
+  for (const [square, code] of Object.entries(pieces)) {
+    if (code[1] === "P" && (square[1] === "1" || square[1] === "8")) {
+      return { valid: false, error: `${COLOR_NAMES[code[0]]} pawn on rank ${square[1]} (${square}).` };
+    }
+  }
+
+  if (turn !== "w" && turn !== "b") return { valid: false, error: `Side to move must be "w" or "b", not "${turn}".` };
+
+  if (castling !== "-") {
+    if (!/^K?Q?k?q?$/.test(castling)) return { valid: false, error: `Castling rights "${castling}" should be a combination of KQkq, or "-".` };
+    for (const right of castling) {
+      const c = CASTLING[right];
+      const name = COLOR_NAMES[c.color];
+      if (pieces[c.king] !== `${c.color}K`) return { valid: false, error: `${name} can't castle ${c.side}: the king isn't on ${c.king}.` };
+      if (pieces[c.rook] !== `${c.color}R`) return { valid: false, error: `${name} can't castle ${c.side}: there's no rook on ${c.rook}.` };
+    }
+  }
+
+  if (ep !== "-" && !possibleEnPassant(pieces, turn).includes(ep)) {
+    return { valid: false, error: `En-passant square "${ep}" doesn't follow a double pawn move by ${COLOR_NAMES[turn === "w" ? "b" : "w"]}.` };
+  }
+  if (!/^\d+$/.test(halfmove)) return { valid: false, error: "The halfmove clock must be a whole number." };
+  if (!/^[1-9]\d*$/.test(fullmove)) return { valid: false, error: "The move number must be 1 or more." };
+
+  // The side that just moved can't have left its king in check
+  const chess = new Chess(fen, { skipValidation: true });
+  const waiting = turn === "w" ? "b" : "w";
+  const waitingKing = Object.keys(pieces).find((sq) => pieces[sq] === `${waiting}K`);
+  if (chess.isAttacked(waitingKing, turn)) {
+    return { valid: false, error: `${COLOR_NAMES[waiting]} is in check but it's ${COLOR_NAMES[turn]}'s move.` };
+  }
+
+  const check = chessValidateFen(fen);
+  return check.ok ? { valid: true } : { valid: false, error: check.error };
+}
@@ -0,0 +1,41 @@
+import { Chess } from "chess.js";
+import { ROOT_ID, pathTo } from "./moveTree.js";
+
+// Result tag -> move-list text
+export const RESULT_TEXT = { "1-0": "1-0", "0-1": "0-1", "1/2-1/2": "½-½" };
+
+// Repetitions compare placement, side to move, castling and en passant
+const positionKey = (fen) => fen.split(" ").slice(0, 4).join(" ");
+
+// Status of `fen`: whether the side to move is in check (and where its king
+// stands), and the result when the game is over there. `earlier` are the
+// FENs that led to it, for threefold repetition.
+export function positionStatus(fen, earlier = []) {
+  const chess = new Chess(fen);
+  const turn = chess.turn();
+  const check = chess.inCheck();
+  const kingSquare = check
+    ? chess.board().flat().find((p) => p?.type === "k" && p.color === turn)?.square ?? null
+    : null;
+  const status = { check, kingSquare, result: null, reason: "" };
+
+  if (chess.isCheckmate()) {
+    return turn === "w"
+      ? { ...status, result: "0-1", reason: "Black wins by checkmate." }
+      : { ...status, result: "1-0", reason: "White wins by checkmate." };
+  }
+  if (chess.isStalemate()) return { ...status, result: "1/2-1/2", reason: "Draw by stalemate." };
+  if (chess.isInsufficientMaterial()) return { ...status, result: "1/2-1/2", reason: "Draw: insufficient material." };
+  const key = positionKey(fen);
+  if (earlier.filter((f) => positionKey(f) === key).length >= 2) {
+    return { ...status, result: "1/2-1/2", reason: "Draw by threefold repetition." };
+  }
+  if (Number(fen.split(" ")[4]) >= 100) return { ...status, result: "1/2-1/2", reason: "Draw by the fifty-move rule." };
+  return status;
+}
+
+// Status at node `id` of a move tree, with its line's history
+export function nodeStatus(tree, id) {
+  const fens = [ROOT_ID, ...pathTo(tree, id)].map((nid) => tree.nodes[nid].fen);
+  return positionStatus(fens.pop(), fens);
+}
@@ -0,0 +1,20 @@
+// Split and index a (possibly huge) PGN file in a worker so the UI stays responsive.
+// Resolves to [{ index, headers, text }].
+export function indexPgnGames(text, onProgress) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL("../workers/pgnIndex.worker.js", import.meta.url), { type: "module" });
+    worker.onmessage = (e) => {
+      if (e.data.type === "progress") {
+        onProgress?.(e.data.done, e.data.total);
+        return;
+      }
+      worker.terminate();
+      resolve(e.data.games);
+    };
+    worker.onerror = (e) => {
+      worker.terminate();
+      reject(new Error(e.message || "Failed to index PGN."));
+    };
+    worker.postMessage(text);
+  });
+}
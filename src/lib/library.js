@@ -0,0 +1,146 @@
+import { splitPgnGames, parseHeaders } from "./pgn.js";
+
+// Saved games live in IndexedDB (localStorage is too small for a library).
+// Record: { id, name, folder, tags: [], headers: { White, Black, Event, … },
+//           pgn, createdAt, updatedAt }
+
+const DB_NAME = "chessburn";
+const DB_VERSION = 1;
+const GAMES = "games";
+
+// Library fields carried by a PGN backup as extra tags
+const LIBRARY_TAGS = { name: "LibraryName", folder: "LibraryFolder", tags: "LibraryTags" };
+
+let dbPromise = null;
+
+function openDb() {
+  dbPromise ??= new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("This browser can't store a game library."));
+      return;
+    }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      if (!req.result.objectStoreNames.contains(GAMES)) req.result.createObjectStore(GAMES, { keyPath: "id" });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error || new Error("Couldn't open the game library."));
+  });
+  return dbPromise;
+}
+
+// Run fn(store) in one transaction; resolves with the last request's result
+// once the transaction has committed
+async function withStore(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(GAMES, mode);
+    const req = fn(tx.objectStore(GAMES));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error || new Error("Library update failed."));
+    tx.onabort = () => reject(tx.error || new Error("Library update failed."));
+  });
+}
+
+export const listGames = () => withStore("readonly", (store) => store.getAll());
+export const getGame = (id) => withStore("readonly", (store) => store.get(id));
+export const deleteGame = (id) => withStore("readwrite", (store) => store.delete(id));
+export function putGames(records) {
+  return withStore("readwrite", (store) => {
+    let last = null;
+    for (const record of records) last = store.put(record);
+    return last;
+  });
+}
+
+let idCounter = 0;
+export function newGameId() {
+  idCounter += 1;
+  return `g${Date.now().toString(36)}${idCounter.toString(36)}`;
+}
+
+// Default name for a game: "White – Black, Event"
+export function gameName(headers) {
+  const players = [headers.White, headers.Black].filter((p) => p && p !== "?").join(" – ");
+  const event = headers.Event && headers.Event !== "?" ? headers.Event : "";
+  return [players, event].filter(Boolean).join(", ") || "Untitled game";
+}
+
+// Search over names, players and events; every term must match
+export function matchesSearch(record, query) {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (!terms.length) return true;
+  const h = record.headers || {};
+  const hay = [record.name, h.White, h.Black, h.Event, h.Site].join(" ").toLowerCase();
+  return terms.every((t) => hay.includes(t));
+}
+
+// Comma-separated input -> distinct, trimmed tags
+export function parseTags(text) {
+  return [...new Set(String(text || "").split(",").map((t) => t.trim()).filter(Boolean))];
+}
+
+// ---- Backup ----
+export function libraryToJson(records) {
+  return JSON.stringify({ format: "chessburn-library", version: 1, games: records }, null, 2);
+}
+
+// One PGN file; folder, tags and name ride along as extra tags
+export function libraryToPgn(records) {
+  return records.map((r) => {
+    const extra = [
+      `[${LIBRARY_TAGS.name} "${escapeTag(r.name)}"]`,
+      r.folder && `[${LIBRARY_TAGS.folder} "${escapeTag(r.folder)}"]`,
+      r.tags.length && `[${LIBRARY_TAGS.tags} "${escapeTag(r.tags.join(", "))}"]`,
+    ].filter(Boolean).join("\n");
+    return `${extra}\n${r.pgn.trim()}\n`;
+  }).join("\n");
+}
+
+function escapeTag(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"');
+}
+
+// Whether two records hold the same game, filed the same way
+export function sameGame(a, b) {
+  return a.pgn === b.pgn && a.name === b.name && a.folder === b.folder && (a.tags || []).join("\n") === (b.tags || []).join("\n");
+}
+
+// A JSON or PGN backup -> records (with fresh ids for PGN games).
+// Throws when the text is neither.
+export function parseBackup(text) {
+  const trimmed = String(text || "").trim();
+  if (trimmed.startsWith("{")) {
+    const data = JSON.parse(trimmed);
+    if (data.format !== "chessburn-library" || !Array.isArray(data.games)) throw new Error("Not a Chessburn library backup.");
+    return data.games
+      .filter((g) => g && typeof g.pgn === "string")
+      .map((g) => ({
+        ...g,
+        id: String(g.id || newGameId()),
+        name: String(g.name || gameName(g.headers || {})),
+        folder: String(g.folder || ""),
+        tags: Array.isArray(g.tags) ? g.tags.map(String) : [],
+        headers: g.headers || parseHeaders(g.pgn),
+      }));
+  }
+  const games = splitPgnGames(trimmed).filter((g) => g.trim());
+  if (!games.length) throw new Error("No games found in the backup.");
+  const now = Date.now();
+  const libraryTag = new RegExp(`^\\s*\\[(?:${Object.values(LIBRARY_TAGS).join("|")})\\s.*$\\n?`, "gm");
+  return games.map((text) => {
+    const tags = parseHeaders(text);
+    const pgn = text.replace(libraryTag, "").trim();
+    const headers = parseHeaders(pgn);
+    return {
+      id: newGameId(),
+      name: tags[LIBRARY_TAGS.name] || gameName(headers),
+      folder: tags[LIBRARY_TAGS.folder] || "",
+      tags: parseTags(tags[LIBRARY_TAGS.tags]),
+      headers,
+      pgn,
+      createdAt: now,
+      updatedAt: now,
+    };
+  });
+}
@@ -0,0 +1,174 @@
+// Move tree: every position reached from baseFen, with sidelines kept.
+// A node's children[0] is its main continuation, children[1..] are variations.
+// All updates return a new tree so it can live in React state.
+
+export const ROOT_ID = 0;
+
+export function createTree(baseFen) {
+  return {
+    nextId: ROOT_ID + 1,
+    nodes: {
+      [ROOT_ID]: { id: ROOT_ID, parentId: null, ply: 0, san: null, fen: baseFen, children: [] },
+    },
+  };
+}
+
+export function getNode(tree, id) {
+  return tree.nodes[id] || tree.nodes[ROOT_ID];
+}
+
+// Add a chess.js move (verbose result) after parentId. Replaying an existing
+// continuation reuses its node instead of creating a duplicate branch.
+export function addMove(tree, parentId, mv) {
+  const parent = getNode(tree, parentId);
+  const existing = parent.children.find((cid) => tree.nodes[cid].san === mv.san);
+  if (existing !== undefined) return { tree, id: existing };
+
+  const id = tree.nextId;
+  const node = {
+    id,
+    parentId: parent.id,
+    ply: parent.ply + 1,
+    san: mv.san,
+    from: mv.from,
+    to: mv.to,
+    color: mv.color,
+    moveNumber: parseInt(mv.before.split(" ")[5] || "1", 10) || 1,
+    fen: mv.after,
+    children: [],
+  };
+  return {
+    id,
+    tree: {
+      nextId: id + 1,
+      nodes: { ...tree.nodes, [parent.id]: { ...parent, children: [...parent.children, id] }, [id]: node },
+    },
+  };
+}
+
+// Shallow-merge fields (comment, nags, ...) into one node
+export function updateNode(tree, id, patch) {
+  const node = getNode(tree, id);
+  return { ...tree, nodes: { ...tree.nodes, [node.id]: { ...node, ...patch } } };
+}
+
+// Copy a node (from another tree) as a move after parentId; keeps its annotations
+// unless the target already has its own
+function copyMove(tree, parentId, node, beforeFen) {
+  const res = addMove(tree, parentId, { ...node, before: beforeFen, after: node.fen });
+  const added = res.tree.nodes[res.id];
+  const patch = {};
+  if (node.comment && !added.comment) patch.comment = node.comment;
+  if (node.nags?.length && !added.nags?.length) patch.nags = node.nags;
+  return { id: res.id, tree: Object.keys(patch).length ? updateNode(res.tree, res.id, patch) : res.tree };
+}
+
+// Merge every line of `source` into `target`. Both must start from the same position.
+export function mergeTree(target, source) {
+  let tree = target;
+  const stack = [[ROOT_ID, ROOT_ID]];
+  while (stack.length) {
+    const [sourceId, targetId] = stack.pop();
+    const parent = source.nodes[sourceId];
+    for (const cid of parent.children) {
+      let id;
+      ({ tree, id } = copyMove(tree, targetId, source.nodes[cid], parent.fen));
+      stack.push([cid, id]);
+    }
+  }
+  return tree;
+}
+
+// Merge one line of `source` (node ids from the first move on) into `target`
+export function mergePath(target, source, path) {
+  let tree = target;
+  let cursor = ROOT_ID;
+  for (const sid of path) {
+    const node = source.nodes[sid];
+    ({ tree, id: cursor } = copyMove(tree, cursor, node, source.nodes[node.parentId].fen));
+  }
+  return tree;
+}
+
+// Ids from the first move up to and including id (root excluded)
+export function pathTo(tree, id) {
+  const path = [];
+  for (let n = getNode(tree, id); n.parentId !== null; n = tree.nodes[n.parentId]) path.unshift(n.id);
+  return path;
+}
+
+// Deepest node reached by following SAN moves from the root
+export function nodeBySans(tree, sans) {
+  let id = ROOT_ID;
+  for (const san of sans) {
+    const next = getNode(tree, id).children.find((cid) => tree.nodes[cid].san === san);
+    if (next === undefined) break;
+    id = next;
+  }
+  return id;
+}
+
+// The line through id, continued along main moves to its end; index = ply - 1
+export function lineThrough(tree, id) {
+  const line = pathTo(tree, id);
+  for (let n = getNode(tree, id); n.children.length; n = tree.nodes[n.children[0]]) line.push(n.children[0]);
+  return line;
+}
+
+export function isMainline(tree, id) {
+  return pathTo(tree, id).every((nid) => tree.nodes[tree.nodes[nid].parentId].children[0] === nid);
+}
+
+// Promote the variation containing id one level: its branch becomes the main
+// continuation at the nearest branch point above it.
+export function promoteVariation(tree, id) {
+  const path = pathTo(tree, id);
+  for (let i = path.length - 1; i >= 0; i--) {
+    const node = tree.nodes[path[i]];
+    const parent = tree.nodes[node.parentId];
+    const idx = parent.children.indexOf(node.id);
+    if (idx > 0) {
+      const children = [node.id, ...parent.children.filter((cid) => cid !== node.id)];
+      return { ...tree, nodes: { ...tree.nodes, [parent.id]: { ...parent, children } } };
+    }
+  }
+  return tree;
+}
+
+// Remove id and everything after it; returns the parent id to land on
+export function deleteFrom(tree, id) {
+  const node = getNode(tree, id);
+  if (node.parentId === null) return { tree, id: ROOT_ID };
+  const nodes = { ...tree.nodes };
+  const stack = [node.id];
+  while (stack.length) {
+    const nid = stack.pop();
+    stack.push(...nodes[nid].children);
+    delete nodes[nid];
+  }
+  const parent = nodes[node.parentId];
+  nodes[parent.id] = { ...parent, children: parent.children.filter((cid) => cid !== node.id) };
+  return { tree: { ...tree, nodes }, id: parent.id };
+}
+
+// Group the main continuation after fromId into numbered rows for the move
+// lists. A row is closed early when its move has a comment or sidelines, so
+// they can be printed underneath it before play continues.
+export function lineRows(tree, fromId = ROOT_ID) {
+  const rows = [];
+  let row = null;
+  for (let parent = getNode(tree, fromId); parent.children.length; ) {
+    const node = tree.nodes[parent.children[0]];
+    if (node.color === "w" || !row) {
+      row = { moveNumber: node.moveNumber, white: null, black: null, comments: [], variations: [] };
+      rows.push(row);
+    }
+    if (node.color === "w") row.white = node;
+    else row.black = node;
+    if (node.comment) row.comments.push(node.comment);
+    if (parent.children.length > 1) row.variations = parent.children.slice(1);
+    if (node.comment || row.variations.length) row = null;
+    parent = node;
+  }
+  return rows;
+}
@@ -0,0 +1,247 @@
+import { Chess } from "chess.js";
+import { ROOT_ID, createTree, addMove, updateNode } from "./moveTree.js";
+import { parseClock, formatClock } from "./clock.js";
+import { parseArrows, parseCircles, formatShapes } from "./shapes.js";
+
+// Standard NAG glyphs ($1-$19). Move-quality marks ($1-$9) print right after
+// the SAN, positional assessments follow it with a space.
+export const NAG_SYMBOLS = {
+  1: "!", 2: "?", 3: "!!", 4: "??", 5: "!?", 6: "?!", 7: "□", 8: "□", 9: "??",
+  10: "=", 11: "=", 12: "=", 13: "∞", 14: "⩲", 15: "⩱", 16: "±", 17: "∓", 18: "+−", 19: "−+",
+};
+const SUFFIX_NAGS = { "!": 1, "?": 2, "!!": 3, "??": 4, "!?": 5, "?!": 6 };
+
+export function formatNags(nags) {
+  if (!nags || !nags.length) return "";
+  const sorted = [...nags].sort((a, b) => a - b);
+  const move = sorted.filter((n) => n <= 9).map((n) => NAG_SYMBOLS[n]).join("");
+  const position = sorted.filter((n) => n > 9).map((n) => NAG_SYMBOLS[n] || `$${n}`).join(" ");
+  return move + (position ? ` ${position}` : "");
+}
+
+// ---- PGN helpers: sanitize & tokenize (robust importer) ----
+const TOKEN_RE = /\{([^}]*)\}|;([^\n]*)|\$(\d+)|(\()|(\))|\d+\.+|(?:1-0|0-1|1\/2-1\/2|\*)(?=\s|$)|([^\s{}();$]+)/g;
+
+// Tokens: { type: "move" | "comment" | "nag" | "open" | "close", value }
+export function sanitizeAndTokenizePgn(pgn) {
+  let s = String(pgn || "").replace(/\r\n?/g, "\n");
+  // detect starting FEN from headers only if [SetUp "1"] exists
+  const fenTag = s.match(/\[FEN\s+"([^"]+)"\]/i);
+  const setupTag = s.match(/\[SetUp\s+"1"\]/i);
+  const startFen = fenTag && setupTag ? fenTag[1] : null;
+
+  // remove headers (not wrapped [%cal …] commands); move numbers and results
+  // are skipped by the lexer
+  s = s.replace(/^\s*\[\w+\s+".*"\]\s*$/gm, " ");
+
+  const tokens = [];
+  for (const m of s.matchAll(TOKEN_RE)) {
+    const [, brace, line, nag, open, close, word] = m;
+    if (brace !== undefined || line !== undefined) {
+      const text = (brace ?? line).replace(/\s+/g, " ").trim();
+      if (text) tokens.push({ type: "comment", value: text });
+    } else if (nag) tokens.push({ type: "nag", value: parseInt(nag, 10) });
+    else if (open) tokens.push({ type: "open" });
+    else if (close) tokens.push({ type: "close" });
+    else if (word) {
+      // split !! ?! ?? etc into NAGs (keep + and #)
+      const [, san, suffix] = word.match(/^(.*?)([!?]*)$/);
+      if (san) tokens.push({ type: "move", value: san });
+      if (suffix) tokens.push({ type: "nag", value: SUFFIX_NAGS[suffix] || 0 });
+    }
+  }
+  return { tokens: tokens.filter((t) => t.type !== "nag" || t.value), startFen };
+}
+
+// Build a move tree from tokens. "(" opens an alternative to the move just
+// played, ")" returns to where the enclosing line left off. Comments and NAGs
+// belong to the move they follow; a comment opening a variation is kept as
+// commentBefore on its first move.
+export function buildTreeFromTokens(tokens, baseFen) {
+  let tree = createTree(baseFen);
+  let cursor = ROOT_ID;
+  let pendingComment = null;
+  const stack = [];
+
+  const annotate = (id, patch) => { tree = updateNode(tree, id, patch); };
+
+  for (let i = 0; i < tokens.length; i++) {
+    const tok = tokens[i];
+    if (tok.type === "open") {
+      const parentId = tree.nodes[cursor].parentId;
+      if (parentId === null) return { tree, error: `Variation without a move at token ${i + 1}` };
+      stack.push(cursor);
+      cursor = parentId;
+      pendingComment = "";
+      continue;
+    }
+    if (tok.type === "close") {
+      if (!stack.length) return { tree, error: `Unbalanced ")" at token ${i + 1}` };
+      cursor = stack.pop();
+      pendingComment = null;
+      continue;
+    }
+    if (tok.type === "comment") {
+      const { text, clock, arrows, circles } = takeCommands(tok.value);
+      if (pendingComment === null) {
+        if (clock !== null && cursor !== ROOT_ID) annotate(cursor, { clock });
+        if (arrows.length) annotate(cursor, { arrows: [...(tree.nodes[cursor].arrows || []), ...arrows] });
+        if (circles.length) annotate(cursor, { circles: [...(tree.nodes[cursor].circles || []), ...circles] });
+      }
+      if (!text) continue;
+      if (pendingComment !== null) pendingComment = joinComments(pendingComment, text);
+      else annotate(cursor, { comment: joinComments(tree.nodes[cursor].comment, text) });
+      continue;
+    }
+    if (tok.type === "nag") {
+      const nags = tree.nodes[cursor].nags || [];
+      if (cursor !== ROOT_ID && !nags.includes(tok.value)) annotate(cursor, { nags: [...nags, tok.value] });
+      continue;
+    }
+
+    let mv = null;
+    try { mv = new Chess(tree.nodes[cursor].fen).move(tok.value); } catch { mv = null; }
+    if (!mv) return { tree, error: `Couldn't parse at token ${i + 1}: "${tok.value}"` };
+    ({ tree, id: cursor } = addMove(tree, cursor, mv));
+    if (pendingComment) annotate(cursor, { commentBefore: pendingComment });
+    pendingComment = null;
+  }
+  if (stack.length) return { tree, error: `Unclosed variation "(" (${stack.length} open)` };
+  return { tree, error: "" };
+}
+
+function joinComments(a, b) {
+  return a ? `${a} ${b}` : b;
+}
+
+// Comment commands: [%clk h:mm:ss] becomes the move's clock, [%cal …] and
+// [%csl …] its arrows and circled squares; the rest stays the comment
+function takeCommands(comment) {
+  let clock = null;
+  const arrows = [];
+  const circles = [];
+  const text = comment
+    .replace(/\[%clk\s+([^\]]*)\]/g, (_, value) => { clock = parseClock(value) ?? clock; return ""; })
+    .replace(/\[%cal\s+([^\]]*)\]/g, (_, value) => { arrows.push(...parseArrows(value)); return ""; })
+    .replace(/\[%csl\s+([^\]]*)\]/g, (_, value) => { circles.push(...parseCircles(value)); return ""; })
+    .replace(/\s+/g, " ")
+    .trim();
+  return { text, clock, arrows, circles };
+}
+
+// ---- Multi-game files ----
+// Split a PGN file into one string per game: a tag line that follows movetext
+// starts the next game. Brace comments may span lines, so track their depth.
+export function splitPgnGames(text) {
+  const games = [];
+  let lines = [];
+  let sawMoves = false;
+  let depth = 0;
+  for (const line of String(text || "").replace(/\r\n?/g, "\n").split("\n")) {
+    const isTag = depth === 0 && /^\s*\[/.test(line);
+    if (isTag && sawMoves) {
+      games.push(lines.join("\n"));
+      lines = [];
+      sawMoves = false;
+    }
+    lines.push(line);
+    if (isTag) continue;
+    if (line.trim()) sawMoves = true;
+    for (const ch of line) {
+      if (ch === ";" && depth === 0) break;   // the rest of the line is a comment; inside {…} it's just text
+      if (ch === "{") depth++;
+      else if (ch === "}" && depth > 0) depth--;
+    }
+  }
+  if (lines.join("").trim()) games.push(lines.join("\n"));
+  return games;
+}
+
+// All [Tag "value"] pairs of one game
+export function parseHeaders(text) {
+  const headers = {};
+  for (const m of String(text || "").matchAll(/^\s*\[(\w+)\s+"((?:[^"\\]|\\.)*)"\s*\]/gm)) {
+    headers[m[1]] = m[2].replace(/\\(["\\])/g, "$1");
+  }
+  return headers;
+}
+
+// ---- Export ----
+const SEVEN_TAG_ROSTER = ["Event", "Site", "Date", "Round", "White", "Black", "Result"];
+const ROSTER_DEFAULTS = { Event: "?", Site: "?", Date: "????.??.??", Round: "?", White: "?", Black: "?", Result: "*" };
+const LINE_WIDTH = 79;
+
+function escapeTag(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"');
+}
+
+// Comment words are separate tokens so long comments can wrap like movetext
+function commentTokens(text) {
+  const words = String(text).replace(/}/g, ")").split(/\s+/).filter(Boolean);
+  if (!words.length) return [];
+  words[0] = `{${words[0]}`;
+  words[words.length - 1] += "}";
+  return words;
+}
+
+// Write move `id` and the rest of its line. Sidelines are printed after the
+// move they replace; the siblings of `id` itself are the caller's job.
+function writeLine(tree, id, out) {
+  let node = tree.nodes[id];
+  let numbered = true;
+  out.push(...commentTokens(node.commentBefore || ""));
+  for (;;) {
+    // number and SAN stay one token so wrapping never separates them
+    const number = node.color === "w" ? `${node.moveNumber}. ` : numbered ? `${node.moveNumber}... ` : "";
+    out.push(number + node.san, ...(node.nags || []).map((n) => `$${n}`));
+    numbered = false;
+    const clock = node.clock !== undefined ? `[%clk ${formatClock(node.clock)}]` : "";
+    const comment = [clock, formatShapes(node), node.comment].filter(Boolean).join(" ");
+    if (comment) {
+      out.push(...commentTokens(comment));
+      numbered = true;
+    }
+    const parent = tree.nodes[node.parentId];
+    if (parent.children[0] === node.id) {
+      for (const alt of parent.children.slice(1)) {
+        out.push("(");
+        writeLine(tree, alt, out);
+        out.push(")");
+        numbered = true;
+      }
+    }
+    if (!node.children.length) return;
+    node = tree.nodes[node.children[0]];
+  }
+}
+
+function wrapTokens(tokens) {
+  const lines = [];
+  let line = "";
+  for (const tok of tokens) {
+    const glue = !line || line.endsWith("(") || tok === ")" ? "" : " ";
+    if (line && line.length + glue.length + tok.length > LINE_WIDTH) {
+      lines.push(line);
+      line = tok;
+    } else {
+      line += glue + tok;
+    }
+  }
+  if (line) lines.push(line);
+  return lines.join("\n");
+}
+
+// Full PGN for one game: Seven Tag Roster first (with "?" placeholders), then
+// any other non-empty tags, then wrapped movetext ending in the result.
+export function exportPgn(tree, headers = {}) {
+  const tags = { ...headers };
+  for (const name of SEVEN_TAG_ROSTER) tags[name] = tags[name] || ROSTER_DEFAULTS[name];
+  const names = [...SEVEN_TAG_ROSTER, ...Object.keys(tags).filter((k) => !SEVEN_TAG_ROSTER.includes(k) && tags[k])];
+  const tagText = names.map((k) => `[${k} "${escapeTag(tags[k])}"]`).join("\n");
+
+  const root = tree.nodes[ROOT_ID];
+  const out = commentTokens([formatShapes(root), root.comment].filter(Boolean).join(" "));
+  if (root.children.length) writeLine(tree, root.children[0], out);
+  out.push(tags.Result);
+  return `${tagText}\n\n${wrapTokens(out)}\n`;
+}
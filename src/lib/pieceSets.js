@@ -0,0 +1,43 @@
+import { createElement as h } from "react";
+import { defaultPieces } from "react-chessboard";
+
+// Piece sets for react-chessboard's `pieces` option: "wK" … "bP" -> a
+// function rendering the piece as SVG in a 45×45 box.
+
+const TYPES = ["K", "Q", "R", "B", "N", "P"];
+const GLYPHS = { K: "♚", Q: "♛", R: "♜", B: "♝", N: "♞", P: "♟" };
+
+function svg(props, ...children) {
+  return h("svg", { xmlns: "http://www.w3.org/2000/svg", viewBox: "0 0 45 45", width: "100%", height: "100%", style: props?.svgStyle }, ...children);
+}
+
+function makeSet(render) {
+  const set = {};
+  for (const color of ["w", "b"]) for (const type of TYPES) set[color + type] = (props) => render(color, type, props);
+  return set;
+}
+
+// Unicode chess symbols, outlined so white pieces read on light squares
+const glyphs = makeSet((color, type, props) => svg(props, h("text", {
+  x: 22.5, y: 37, textAnchor: "middle", fontSize: 38,
+  fontFamily: "'Segoe UI Symbol', 'DejaVu Sans', 'Noto Sans Symbols 2', serif",
+  fill: props?.fill ?? (color === "w" ? "#fff" : "#111"),
+  stroke: color === "w" ? "#111" : "#eee",
+  strokeWidth: color === "w" ? 1.2 : 0.6,
+  paintOrder: "stroke",
+}, GLYPHS[type])));
+
+// Discs with the piece letter: plain and easy to read at small sizes
+const letters = makeSet((color, type, props) => svg(props,
+  h("circle", { cx: 22.5, cy: 22.5, r: 16, fill: props?.fill ?? (color === "w" ? "#f8f8f8" : "#222"), stroke: color === "w" ? "#222" : "#ddd", strokeWidth: 1.5 }),
+  h("text", {
+    x: 22.5, y: 29.5, textAnchor: "middle", fontSize: 20, fontWeight: 700, fontFamily: "system-ui, sans-serif",
+    fill: color === "w" ? "#222" : "#f8f8f8",
+  }, type),
+));
+
+export const PIECE_SETS = {
+  classic: { label: "Classic", pieces: defaultPieces },
+  glyphs: { label: "Glyphs", pieces: glyphs },
+  letters: { label: "Letters", pieces: letters },
+};
@@ -0,0 +1,135 @@
+import { Chess } from "chess.js";
+import { splitPgnGames, parseHeaders, sanitizeAndTokenizePgn } from "./pgn.js";
+
+// Puzzle: { id, fen, moves: [uci...], rating, themes: [], autoFirst }
+// With autoFirst (Lichess format) moves[0] is the opponent's move played
+// automatically; otherwise the solver moves first.
+
+// Whether `fen` loads and every UCI move of `moves` is legal in turn
+export function isPlayable(fen, moves) {
+  try {
+    const ch = new Chess(fen);
+    for (const uci of moves) ch.move(fromUci(uci));
+    return moves.length > 0;
+  } catch {
+    return false;
+  }
+}
+
+const LICHESS_COLUMNS = ["PuzzleId", "FEN", "Moves", "Rating", "RatingDeviation", "Popularity", "NbPlays", "Themes", "GameUrl", "OpeningTags"];
+
+function splitCsvLine(line) {
+  const cells = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") { cells.push(cell); cell = ""; }
+    else cell += ch;
+  }
+  cells.push(cell);
+  return cells;
+}
+
+// Lichess puzzle database CSV, with or without its header row
+export function parseLichessCsv(text) {
+  const lines = String(text || "").split(/\r?\n/).filter((l) => l.trim());
+  let columns = LICHESS_COLUMNS;
+  if (lines.length && /^PuzzleId\b/i.test(lines[0])) columns = splitCsvLine(lines.shift()).map((c) => c.trim());
+  const col = (name) => columns.findIndex((c) => c.toLowerCase() === name.toLowerCase());
+  const [iId, iFen, iMoves, iRating, iThemes] = ["PuzzleId", "FEN", "Moves", "Rating", "Themes"].map(col);
+
+  const puzzles = [];
+  for (const line of lines) {
+    const cells = splitCsvLine(line);
+    const moves = (cells[iMoves] || "").trim().split(/\s+/).filter(Boolean);
+    if (!cells[iFen] || moves.length < 2 || !isPlayable(cells[iFen].trim(), moves)) continue;
+    puzzles.push({
+      id: cells[iId] || `p${puzzles.length + 1}`,
+      fen: cells[iFen].trim(),
+      moves,
+      rating: parseInt(cells[iRating], 10) || null,
+      themes: (cells[iThemes] || "").split(/\s+/).filter(Boolean),
+      autoFirst: true,
+    });
+  }
+  return puzzles;
+}
+
+// One puzzle per game: the start position (FEN tag) and its mainline as the solution
+export function parsePuzzlePgn(text) {
+  const puzzles = [];
+  for (const gameText of splitPgnGames(text)) {
+    const headers = parseHeaders(gameText);
+    const { tokens, startFen } = sanitizeAndTokenizePgn(gameText);
+    let fen;
+    const moves = [];
+    let depth = 0;
+    try {
+      const ch = new Chess(startFen || headers.FEN || undefined);
+      fen = ch.fen();
+      for (const tok of tokens) {
+        if (tok.type === "open") depth++;
+        else if (tok.type === "close") depth--;
+        else if (tok.type === "move" && depth === 0) moves.push(toUci(ch.move(tok.value)));
+      }
+    } catch {
+      continue; // skip games whose position or solution doesn't parse
+    }
+    if (!moves.length) continue;
+    puzzles.push({
+      id: headers.PuzzleId || headers.Site?.replace(/^https?:\/\/\S+\//, "") || `pgn${puzzles.length + 1}`,
+      fen,
+      moves,
+      rating: parseInt(headers.PuzzleRating || headers.Rating, 10) || null,
+      themes: (headers.Themes || "").split(/[\s,]+/).filter(Boolean),
+      autoFirst: false,
+    });
+  }
+  return puzzles;
+}
+
+// Tell a PGN file from a Lichess CSV by its first bytes
+export function parsePuzzleFile(text) {
+  const head = String(text || "").slice(0, 2000);
+  const looksLikePgn = /^\s*\[/.test(head) || (/\b1\.\s*\S/.test(head) && !/^PuzzleId/i.test(head));
+  return looksLikePgn ? parsePuzzlePgn(text) : parseLichessCsv(text);
+}
+
+export function toUci(mv) {
+  return `${mv.from}${mv.to}${mv.promotion || ""}`;
+}
+
+export function fromUci(uci) {
+  return { from: uci.slice(0, 2), to: uci.slice(2, 4), promotion: uci[4] || undefined };
+}
+
+// ---- Share links ----
+export function puzzleToParams(puzzle, params = new URLSearchParams()) {
+  params.set("puzzle", puzzle.id);
+  params.set("fen", puzzle.fen);
+  params.set("moves", puzzle.moves.join(" "));
+  if (puzzle.autoFirst) params.set("auto", "1");
+  if (puzzle.rating) params.set("rating", String(puzzle.rating));
+  if (puzzle.themes.length) params.set("themes", puzzle.themes.join(" "));
+  return params;
+}
+
+export function puzzleFromParams(params) {
+  const moves = (params.get("moves") || "").split(/\s+/).filter(Boolean);
+  if (!moves.every((m) => /^[a-h][1-8][a-h][1-8][qrbn]?$/.test(m))) return null;
+  if (!params.has("puzzle") || !params.get("fen") || !isPlayable(params.get("fen"), moves)) return null;
+  return {
+    id: params.get("puzzle") || "shared",
+    fen: params.get("fen"),
+    moves,
+    rating: parseInt(params.get("rating"), 10) || null,
+    themes: (params.get("themes") || "").split(/\s+/).filter(Boolean),
+    autoFirst: params.get("auto") === "1",
+  };
+}
@@ -0,0 +1,75 @@
+import { Chess } from "chess.js";
+import { ROOT_ID, createTree, mergeTree } from "./moveTree.js";
+import { splitPgnGames, sanitizeAndTokenizePgn, buildTreeFromTokens } from "./pgn.js";
+
+export const START_FEN = new Chess().fen();
+
+// A repertoire is a move tree from the initial position. Drill results are kept
+// per position (placement, side, castling, en passant) so they survive edits
+// and transpositions: stats[key] = { hits, misses }.
+export function positionKey(fen) {
+  return fen.split(" ").slice(0, 4).join(" ");
+}
+
+export function emptyRepertoire() {
+  return { tree: createTree(START_FEN), stats: {} };
+}
+
+// Merge every game (mainline and variations) of a PGN text into `tree`.
+// Games that fail to parse are skipped and listed in `errors`.
+export function mergePgnIntoTree(tree, text) {
+  let merged = tree;
+  let games = 0;
+  const errors = [];
+  splitPgnGames(text).forEach((gameText, i) => {
+    const { tokens, startFen } = sanitizeAndTokenizePgn(gameText);
+    if (startFen && positionKey(startFen) !== positionKey(START_FEN)) {
+      errors.push(`Game ${i + 1} starts from a custom position`);
+      return;
+    }
+    const { tree: gameTree, error } = buildTreeFromTokens(tokens, START_FEN);
+    if (error) {
+      errors.push(`Game ${i + 1} skipped: ${error}`);
+      return;
+    }
+    merged = mergeTree(merged, gameTree);
+    games++;
+  });
+  return { tree: merged, games, errors };
+}
+
+export function countPositions(tree) {
+  return Object.keys(tree.nodes).length - 1;
+}
+
+// How badly the lines below a node have gone in the drill
+function troubleBelow(tree, id, stats, memo) {
+  if (memo.has(id)) return memo.get(id);
+  const node = tree.nodes[id];
+  const s = stats[positionKey(node.fen)];
+  let trouble = s ? Math.max(0, s.misses * 2 - s.hits) : 0;
+  for (const cid of node.children) trouble += troubleBelow(tree, cid, stats, memo);
+  memo.set(id, trouble);
+  return trouble;
+}
+
+// Opponent's move in the drill: any prepared reply, weighted towards the
+// lines the user keeps missing. Returns a child id or null at the end of a line.
+export function pickOpponentMove(tree, id, stats, random = Math.random) {
+  const children = tree.nodes[id]?.children || [];
+  if (!children.length) return null;
+  const memo = new Map();
+  const weights = children.map((cid) => 1 + troubleBelow(tree, cid, stats, memo));
+  let r = random() * weights.reduce((a, b) => a + b, 0);
+  for (let i = 0; i < children.length; i++) {
+    r -= weights[i];
+    if (r < 0) return children[i];
+  }
+  return children[children.length - 1];
+}
+
+export function recordDrill(stats, fen, hit) {
+  const key = positionKey(fen);
+  const s = stats[key] || { hits: 0, misses: 0 };
+  return { ...stats, [key]: hit ? { ...s, hits: s.hits + 1 } : { ...s, misses: s.misses + 1 } };
+}
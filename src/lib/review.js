@@ -0,0 +1,58 @@
+// Game review: per-move centipawn loss, a judgement for bad moves and an
+// accuracy per player, from engine evaluations of every position of the mainline.
+
+const MATE_CP = 1000;   // mates and huge advantages count as ±10 pawns
+
+export const JUDGEMENTS = {
+  inaccuracy: { min: 50, glyph: "?!", color: "#facc15", label: "Inaccuracy" },
+  mistake: { min: 100, glyph: "?", color: "#fb923c", label: "Mistake" },
+  blunder: { min: 300, glyph: "??", color: "#f87171", label: "Blunder" },
+};
+
+// Engine score (White's view) as clamped centipawns
+export function toCp(score) {
+  if (score.mate !== undefined) return score.mate >= 0 ? MATE_CP : -MATE_CP;
+  return Math.max(-MATE_CP, Math.min(MATE_CP, score.cp));
+}
+
+// Winning chances 0-100 for the side with centipawns `cp`
+export function winPercent(cp) {
+  return 50 + 50 * (2 / (1 + Math.exp(-0.00368208 * cp)) - 1);
+}
+
+function judge(cpLoss) {
+  let result = null;
+  for (const [name, j] of Object.entries(JUDGEMENTS)) if (cpLoss >= j.min) result = name;
+  return result;
+}
+
+// scores[i] is the evaluation after i plies (scores[0] = start position);
+// colors[i] is the side that played move i + 1.
+// Returns { moves: [{ cpLoss, accuracy, judgement }], accuracy: { w, b }, counts: { w, b } }
+export function summarizeReview(scores, colors) {
+  const moves = [];
+  const totals = { w: [], b: [] };
+  const counts = { w: {}, b: {} };
+  for (let i = 0; i < colors.length; i++) {
+    const sign = colors[i] === "w" ? 1 : -1;
+    const before = sign * toCp(scores[i]);
+    const after = sign * toCp(scores[i + 1]);
+    const cpLoss = Math.max(0, before - after);
+    const winDrop = Math.max(0, winPercent(before) - winPercent(after));
+    const accuracy = Math.max(0, Math.min(100, 103.1668 * Math.exp(-0.04354 * winDrop) - 3.1669));
+    const judgement = judge(cpLoss);
+    moves.push({ cpLoss, accuracy, judgement });
+    totals[colors[i]].push(accuracy);
+    if (judgement) counts[colors[i]][judgement] = (counts[colors[i]][judgement] || 0) + 1;
+  }
+  const mean = (list) => (list.length ? list.reduce((a, b) => a + b, 0) / list.length : null);
+  return { moves, accuracy: { w: mean(totals.w), b: mean(totals.b) }, counts };
+}
+
+// Cache key for a game: base position plus its mainline
+export function reviewKey(baseFen, sans) {
+  const text = `${baseFen}|${sans.join(" ")}`;
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) hash = ((hash * 33) ^ text.charCodeAt(i)) >>> 0;
+  return `${hash.toString(36)}.${sans.length}`;
+}
@@ -0,0 +1,51 @@
+// Display settings, kept in localStorage (see hooks/useSettings.js)
+
+export const BOARD_THEMES = {
+  brown: { label: "Brown", light: "#f0d9b5", dark: "#b58863" },
+  blue: { label: "Blue", light: "#dee3e6", dark: "#8ca2ad" },
+  green: { label: "Green", light: "#eeeed2", dark: "#769656" },
+  grey: { label: "Grey", light: "#dcdcdc", dark: "#a0a0a0" },
+  purple: { label: "Purple", light: "#e6ddf0", dark: "#9a7fb5" },
+};
+
+export const ANIMATION_SPEEDS = [
+  { label: "Off", ms: 0 },
+  { label: "Fast", ms: 80 },
+  { label: "Normal", ms: 140 },
+  { label: "Slow", ms: 300 },
+];
+
+export const DEFAULT_SETTINGS = {
+  boardTheme: "brown",
+  pieceSet: "classic",      // see lib/pieceSets.js
+  showCoordinates: true,
+  animationMs: 140,
+  showLegalMoves: true,
+  showLastMove: true,
+  appTheme: "dark",         // dark | light
+};
+
+// Saved settings with anything unknown or missing replaced by the default
+export function normalizeSettings(saved, pieceSets) {
+  const s = { ...DEFAULT_SETTINGS, ...(saved && typeof saved === "object" ? saved : {}) };
+  if (!BOARD_THEMES[s.boardTheme]) s.boardTheme = DEFAULT_SETTINGS.boardTheme;
+  if (!pieceSets[s.pieceSet]) s.pieceSet = DEFAULT_SETTINGS.pieceSet;
+  if (!ANIMATION_SPEEDS.some((a) => a.ms === s.animationMs)) s.animationMs = DEFAULT_SETTINGS.animationMs;
+  if (s.appTheme !== "light") s.appTheme = "dark";
+  for (const key of ["showCoordinates", "showLegalMoves", "showLastMove"]) s[key] = s[key] !== false;
+  return s;
+}
+
+// Chessboard options for the chosen look
+export function boardStyleOptions(settings) {
+  const theme = BOARD_THEMES[settings.boardTheme];
+  return {
+    lightSquareStyle: { backgroundColor: theme.light },
+    darkSquareStyle: { backgroundColor: theme.dark },
+    lightSquareNotationStyle: { color: theme.dark },
+    darkSquareNotationStyle: { color: theme.light },
+    showNotation: settings.showCoordinates,
+    showAnimations: settings.animationMs > 0,
+    animationDurationInMs: settings.animationMs,
+  };
+}
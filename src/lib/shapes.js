@@ -0,0 +1,56 @@
+// Board drawings stored on a move's node: arrows [{ from, to, color }] and
+// circled squares [{ square, color }], with colours as the single letters of
+// PGN [%cal Ge2e4,Rd7d5] / [%csl Gd4] commands.
+
+export const SHAPE_COLORS = {
+  G: "rgba(21, 120, 27, 0.85)",
+  R: "rgba(200, 30, 30, 0.85)",
+  B: "rgba(0, 48, 136, 0.85)",
+  Y: "rgba(230, 160, 0, 0.9)",
+};
+
+// Colour for a drawing from the keys held: none green, Shift red, Alt blue,
+// Ctrl (or Shift+Alt) yellow
+export function shapeColor({ shiftKey, altKey, ctrlKey, metaKey }) {
+  if (ctrlKey || metaKey || (shiftKey && altKey)) return "Y";
+  if (shiftKey) return "R";
+  if (altKey) return "B";
+  return "G";
+}
+
+// "Ge2e4,Rd7d5" -> arrows; malformed entries are skipped
+export function parseArrows(text) {
+  return String(text).split(",").map((s) => s.trim().match(/^([GRBY])([a-h][1-8])([a-h][1-8])$/i))
+    .filter((m) => m && m[2] !== m[3])
+    .map((m) => ({ from: m[2].toLowerCase(), to: m[3].toLowerCase(), color: m[1].toUpperCase() }));
+}
+
+// "Gd4,Re5" -> circles
+export function parseCircles(text) {
+  return String(text).split(",").map((s) => s.trim().match(/^([GRBY])([a-h][1-8])$/i))
+    .filter(Boolean)
+    .map((m) => ({ square: m[2].toLowerCase(), color: m[1].toUpperCase() }));
+}
+
+// The node's drawings as PGN commands ("[%csl Gd4] [%cal Ge2e4]"), or ""
+export function formatShapes({ arrows, circles }) {
+  const out = [];
+  if (circles?.length) out.push(`[%csl ${circles.map((c) => c.color + c.square).join(",")}]`);
+  if (arrows?.length) out.push(`[%cal ${arrows.map((a) => a.color + a.from + a.to).join(",")}]`);
+  return out.join(" ");
+}
+
+// Drawing a shape again in the same colour erases it; in another colour it
+// recolours it
+export function toggleArrow(arrows = [], arrow) {
+  const same = (a) => a.from === arrow.from && a.to === arrow.to;
+  const old = arrows.find(same);
+  const rest = arrows.filter((a) => !same(a));
+  return old?.color === arrow.color ? rest : [...rest, arrow];
+}
+
+export function toggleCircle(circles = [], circle) {
+  const old = circles.find((c) => c.square === circle.square);
+  const rest = circles.filter((c) => c.square !== circle.square);
+  return old?.color === circle.color ? rest : [...rest, circle];
+}
@@ -0,0 +1,96 @@
+import { Chess } from "chess.js";
+import { ROOT_ID, createTree, addMove } from "./moveTree.js";
+
+// Share links: ?fen=<start>&line=<moves>&ply=<n>&o=black&white=…
+// `line` stores each move as its index among the legal moves (sorted by UCI)
+// in base64url: one character per move, two when a position has more than
+// 64 legal moves. A 60-move game fits in about 120 characters.
+
+const ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_";
+
+// Headers carried by a link, and their parameter names
+const SHARED_TAGS = {
+  White: "white", Black: "black", WhiteElo: "welo", BlackElo: "belo",
+  Event: "event", Site: "site", Date: "date", Round: "round", Result: "result",
+};
+const DEFAULT_TAGS = { White: "White", Black: "Black", Result: "*" };
+
+function sortedMoves(chess) {
+  return chess.moves({ verbose: true })
+    .map((m) => ({ m, key: `${m.from}${m.to}${m.promotion || ""}` }))
+    .sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0))
+    .map((x) => x.m);
+}
+
+// SAN moves from startFen -> compact string (null if a move is illegal)
+export function encodeLine(startFen, sans) {
+  const chess = new Chess(startFen);
+  let code = "";
+  for (const san of sans) {
+    const legal = sortedMoves(chess);
+    let moved = null;
+    try { moved = chess.move(san); }
+    catch { return null; }
+    const index = legal.findIndex((m) => m.from === moved.from && m.to === moved.to && m.promotion === moved.promotion);
+    code += legal.length > 64 ? ALPHABET[index >> 6] + ALPHABET[index & 63] : ALPHABET[index];
+  }
+  return code;
+}
+
+// Compact string -> verbose chess.js moves; stops at the first bad character
+export function decodeLine(startFen, code) {
+  const chess = new Chess(startFen);
+  const moves = [];
+  let i = 0;
+  while (i < code.length) {
+    const legal = sortedMoves(chess);
+    let index = ALPHABET.indexOf(code[i++]);
+    if (legal.length > 64) index = index * 64 + ALPHABET.indexOf(code[i++]);
+    if (index < 0 || !legal[index]) break;
+    moves.push(chess.move(legal[index]));
+  }
+  return moves;
+}
+
+// Write a game view into URLSearchParams. Standard-start games omit the FEN.
+export function gameToParams({ startFen, sans, ply, orientation, headers }, params = new URLSearchParams()) {
+  if (startFen !== new Chess().fen()) params.set("fen", startFen);
+  const code = encodeLine(startFen, sans);
+  if (code) params.set("line", code);
+  if (code && ply < sans.length) params.set("ply", String(ply));
+  if (orientation === "black") params.set("o", "black");
+  for (const [tag, key] of Object.entries(SHARED_TAGS)) {
+    const value = headers?.[tag];
+    if (value && value !== "?" && value !== DEFAULT_TAGS[tag]) params.set(key, value);
+  }
+  return params;
+}
+
+// Read a shared game (or an old ?fen= position link). Returns null when the
+// link carries neither; throws when its FEN is invalid.
+// -> { baseFen, tree, currentId, orientation, headers }
+export function gameFromParams(params) {
+  const qfen = params.get("fen");
+  const code = params.get("line") || "";
+  if (!qfen && !code) return null;
+  const baseFen = new Chess(qfen || undefined).fen();
+
+  let tree = createTree(baseFen);
+  let id = ROOT_ID;
+  const ids = [];
+  for (const move of decodeLine(baseFen, code)) {
+    ({ tree, id } = addMove(tree, id, move));
+    ids.push(id);
+  }
+  const ply = params.has("ply") ? Math.max(0, parseInt(params.get("ply"), 10) || 0) : ids.length;
+  const headers = {};
+  for (const [tag, key] of Object.entries(SHARED_TAGS)) if (params.get(key)) headers[tag] = params.get(key);
+
+  return {
+    baseFen,
+    tree,
+    currentId: ply > 0 && ids.length ? ids[Math.min(ply, ids.length) - 1] : ROOT_ID,
+    orientation: params.get("o") === "black" ? "black" : "white",
+    headers,
+  };
+}
@@ -0,0 +1,52 @@
+import { Chess } from "chess.js";
+
+// ==== Spoken chess ====
+// Text for screen readers: "Knight takes e5, check", "e4, white pawn"
+const PIECE_NAMES = { K: "king", Q: "queen", R: "rook", B: "bishop", N: "knight", P: "pawn" };
+const capitalize = (s) => s[0].toUpperCase() + s.slice(1);
+
+// "wN" -> "white knight"
+export function spokenPiece(code) {
+  return `${code[0] === "w" ? "white" : "black"} ${PIECE_NAMES[code[1]]}`;
+}
+
+// "Nxe5+" -> "Knight takes e5, check"; "exd8=Q#" -> "e takes d8, promotes to queen, checkmate"
+export function spokenSan(san) {
+  const suffix = san.includes("#") ? ", checkmate" : san.includes("+") ? ", check" : "";
+  if (san.startsWith("O-O-O")) return `Castles queenside${suffix}`;
+  if (san.startsWith("O-O")) return `Castles kingside${suffix}`;
+  const m = san.match(/^([KQRBN])?([a-h]?[1-8]?)(x?)([a-h][1-8])(?:=([QRBN]))?/);
+  if (!m) return san;
+  const [, piece, from, takes, to, promotion] = m;
+  const words = [piece && capitalize(PIECE_NAMES[piece]), from, takes && "takes", to].filter(Boolean).join(" ");
+  return `${words}${promotion ? `, promotes to ${PIECE_NAMES[promotion]}` : ""}${suffix}`;
+}
+
+// NAGs ($1-$19) in words, for the glyphs a move list shows
+const NAG_WORDS = {
+  1: "good move", 2: "mistake", 3: "brilliant move", 4: "blunder", 5: "interesting move", 6: "dubious move",
+  7: "only move", 8: "only move", 9: "worst move", 10: "equal position", 11: "equal position", 12: "equal position",
+  13: "unclear position", 14: "White is slightly better", 15: "Black is slightly better", 16: "White is better",
+  17: "Black is better", 18: "White is winning", 19: "Black is winning",
+};
+
+// [2, 14] -> "mistake, White is slightly better"
+export function spokenNags(nags) {
+  return [...(nags || [])].sort((a, b) => a - b).map((n) => NAG_WORDS[n]).filter(Boolean).join(", ");
+}
+
+// A move-tree node: "White, move 12: Knight takes e5, check"
+export function spokenNode(node) {
+  if (!node.san) return "Start position";
+  return `${node.color === "w" ? "White" : "Black"}, move ${node.moveNumber}: ${spokenSan(node.san)}`;
+}
+
+// A training board's last move ({ from, to }, no SAN), read off the position
+// after it: "Knight g1 to f3, check"
+export function spokenLastMove(fen, { from, to }) {
+  const chess = new Chess(fen);
+  const piece = chess.get(to);
+  const name = piece ? capitalize(PIECE_NAMES[piece.type.toUpperCase()]) : "Piece";
+  const suffix = chess.isCheckmate() ? ", checkmate" : chess.inCheck() ? ", check" : "";
+  return `${name} ${from} to ${to}${suffix}`;
+}
@@ -0,0 +1,50 @@
+// SM-2 style spaced repetition for pattern cards.
+// Quality 0-5 as in SM-2; below 3 the card is relearned.
+
+export const DAY = 24 * 60 * 60 * 1000;
+const RELEARN_DELAY = 10 * 60 * 1000; // failed cards come back after 10 minutes
+
+export function createCard({ id, deckId, name, fen, moves }, now = Date.now()) {
+  return { id, deckId, name, fen, moves, ease: 2.5, interval: 0, reps: 0, lapses: 0, due: now, created: now };
+}
+
+export function schedule(card, quality, now = Date.now()) {
+  let { ease, interval, reps, lapses } = card;
+  if (quality < 3) {
+    reps = 0;
+    interval = 0;
+    lapses += 1;
+  } else {
+    reps += 1;
+    interval = reps === 1 ? 1 : reps === 2 ? 6 : Math.round(interval * ease);
+  }
+  ease = Math.max(1.3, ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+  const due = interval ? now + interval * DAY : now + RELEARN_DELAY;
+  return { ...card, ease, interval, reps, lapses, due, lastReviewed: now };
+}
+
+// Grade an attempt by how many wrong moves were tried before finishing the line
+export function qualityFromMistakes(mistakes, gaveUp = false) {
+  if (gaveUp) return 0;
+  if (mistakes === 0) return 5;
+  if (mistakes === 1) return 3;
+  return 1;
+}
+
+export function isDue(card, now = Date.now()) {
+  return card.due <= now;
+}
+
+// Local calendar day, e.g. "2025-03-07", for review streaks
+export function dayKey(time = Date.now()) {
+  const d = new Date(time);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+// Count consecutive days with at least one review; reviewing again today keeps it
+export function updateStreak(streak, now = Date.now()) {
+  const today = dayKey(now);
+  if (streak?.lastDay === today) return streak;
+  const yesterday = dayKey(now - DAY);
+  return { lastDay: today, count: streak?.lastDay === yesterday ? streak.count + 1 : 1 };
+}
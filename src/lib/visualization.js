@@ -0,0 +1,92 @@
+import { Chess } from "chess.js";
+import { pathTo } from "./moveTree.js";
+import { placementToPieces } from "./fen.js";
+
+// ==== Hidden boards ====
+// mode: "off" | "all" (no pieces) | "white" / "black" (that side hidden) |
+// "recent" (only the pieces that moved in the last few plies)
+export const BLINDFOLD_MODES = [
+  { value: "off", label: "Show all pieces" },
+  { value: "all", label: "Hide all pieces" },
+  { value: "white", label: "Hide White" },
+  { value: "black", label: "Hide Black" },
+  { value: "recent", label: "Recent moves only" },
+];
+
+// Squares the last `plies` moves up to node `id` landed on (castling rooks too)
+export function recentSquares(tree, id, plies) {
+  const squares = new Set();
+  for (const nid of pathTo(tree, id).slice(-plies)) {
+    const node = tree.nodes[nid];
+    squares.add(node.to);
+    if (/^O-O/.test(node.san)) squares.add(`${node.san.startsWith("O-O-O") ? "d" : "f"}${node.to[1]}`);
+  }
+  return squares;
+}
+
+// Board position ({ e4: { pieceType: "wP" }, … }) with the hidden pieces left out
+export function visiblePosition(fen, mode, recent = new Set()) {
+  const pieces = placementToPieces(fen.split(" ")[0]);
+  const shown = Object.entries(pieces).filter(([square, code]) =>
+    mode === "off" ||
+    (mode === "white" && code[0] === "b") ||
+    (mode === "black" && code[0] === "w") ||
+    (mode === "recent" && recent.has(square)));
+  return Object.fromEntries(shown.map(([square, code]) => [square, { pieceType: code }]));
+}
+
+// ==== Visualization questions ====
+const NAMES = { k: "king", q: "queen", r: "rook", b: "bishop", n: "knight", p: "pawn" };
+const FILES = "abcdefgh";
+const colorName = (c) => (c === "w" ? "White" : "Black");
+
+function randomSquare(rand) {
+  return `${FILES[Math.floor(rand() * 8)]}${1 + Math.floor(rand() * 8)}`;
+}
+
+function pick(list, rand) {
+  return list[Math.floor(rand() * list.length)];
+}
+
+// A question about `fen`, answered from the position with chess.js:
+// kind "where" (a square of some piece), "attacked" (yes/no) or "color"
+// (light/dark square)
+export function makeQuestion(fen, rand = Math.random) {
+  const chess = new Chess(fen);
+  const pieces = chess.board().flat().filter(Boolean);
+  const kind = pick(["where", "where", "attacked", "attacked", "color"], rand);
+
+  if (kind === "where") {
+    const { type, color } = pick(pieces, rand);
+    const count = pieces.filter((p) => p.type === type && p.color === color).length;
+    const piece = `${color === "w" ? "white" : "black"} ${NAMES[type]}`;
+    const text = count === 1 ? `What square is the ${piece} on?` : `Name a square with a ${piece} on it.`;
+    return { kind, fen, text, type, color };
+  }
+  if (kind === "attacked") {
+    const square = randomSquare(rand);
+    const by = rand() < 0.5 ? "w" : "b";
+    return { kind, fen, text: `Is ${square} attacked by ${colorName(by)}?`, square, by };
+  }
+  const square = randomSquare(rand);
+  return { kind, fen, text: `Is ${square} a light or a dark square?`, square };
+}
+
+// -> { correct, expected } where `expected` describes the right answer
+export function checkAnswer(question, answer) {
+  const chess = new Chess(question.fen);
+  const given = String(answer).trim().toLowerCase();
+  if (question.kind === "where") {
+    const squares = chess.board().flat()
+      .filter((p) => p && p.type === question.type && p.color === question.color)
+      .map((p) => p.square);
+    return { correct: squares.includes(given), expected: squares.join(" or ") };
+  }
+  if (question.kind === "attacked") {
+    const attackers = chess.attackers(question.square, question.by);
+    const expected = attackers.length ? `yes (from ${attackers.join(", ")})` : "no";
+    return { correct: given === (attackers.length ? "yes" : "no"), expected };
+  }
+  const color = chess.squareColor(question.square);
+  return { correct: given === color, expected: color };
+}
@@ -0,0 +1,12 @@
+import { splitPgnGames, parseHeaders } from "../lib/pgn.js";
+
+// Index a PGN file off the main thread: split it into games and read their tags.
+self.onmessage = (e) => {
+  const texts = splitPgnGames(e.data);
+  const games = [];
+  for (let index = 0; index < texts.length; index++) {
+    games.push({ index, headers: parseHeaders(texts[index]), text: texts[index] });
+    if (index % 500 === 499) self.postMessage({ type: "progress", done: index + 1, total: texts.length });
+  }
+  self.postMessage({ type: "done", games });
+};